@@ -35,6 +35,9 @@
     };
     _assetGraph?: AssetGraph | null;
     _createAssetGraph?: Object;
+    loadChildren?: ((node: Object | null) => Promise<Array<Object> | { children: Array<Object>, isExhausted?: boolean }>) | null;
+    __graphKeys?: Object | null;
+    __pendingLoads?: Map<Object, Promise<Array<Object>>>;
   }
 
   /**
@@ -130,26 +133,269 @@
         }
       },
 
+      /**
+       * Text to search for in the labels of the items in the graph. Items are
+       * matched if their label starts with, contains, or contains the letters
+       * of the query in order. Changes are debounced by `searchDebounceTime`
+       * before the `searchResults` are updated.
+       */
+      searchQuery: {
+        type: String,
+        value: ''
+      },
+
+      /**
+       * The time in milliseconds to wait after `searchQuery` stops changing
+       * before running the search.
+       */
+      searchDebounceTime: {
+        type: Number,
+        value: 250
+      },
+
+      /**
+       * [Read-only] The items matching the `searchQuery`, ranked from best to
+       * worst match. Each result contains the same information as the graph's
+       * `getInfo` method (including `path` and `route`) plus:
+       *
+       * - {String} `match`: How the label matched, one of 'prefix',
+       * 'substring' or 'fuzzy'
+       * - {Number} `score`: The rank of the match, higher is better
+       *
+       * The `item` of any result can be passed directly to `select()`.
+       */
+      searchResults: {
+        type: Array,
+        notify: true,
+        readOnly: true,
+        value: function() {
+          return [];
+        }
+      },
+
+      /**
+       * A function used to load the children of items from a remote data
+       * source. When an item that is not terminal (`isTerminal`) and not
+       * exhausted (`isExhausted`) is activated, this function will be called
+       * with the item and should return a Promise.
+       *
+       * The Promise should resolve with either an array of the item's children,
+       * or an object with a `children` array and an `isExhausted` boolean if
+       * more children can be loaded later. The children are added to the graph
+       * with `addChildren` and the item is marked as exhausted unless
+       * `isExhausted: false` is returned.
+       *
+       * For example:
+       *
+       *     el.loadChildren = item => fetch(`/api/assets/${item.id}/children`)
+       *       .then(res => res.json());
+       *
+       * See `loadChildrenFor` to load children manually.
+       */
+      loadChildren: {
+        type: Function,
+        value: null
+      },
+
+      /**
+       * Set to `true` to check `items` and `keys` for problems before the
+       * graph is built (see `PxApp.AssetGraph.validate` for the list of
+       * problems). If any problems are found, a `px-app-asset-graph-invalid`
+       * event is fired with all of them and the graph is not built.
+       */
+      strict: {
+        type: Boolean,
+        value: false
+      },
+
+      /**
+       * Set to `true` to update the existing graph when `items` is re-assigned
+       * instead of throwing it away and building a new one. The new items are
+       * matched to the items already in the graph by their `keys.id` and
+       * position: an item matches an existing item if it has the same ID and
+       * its parent matches the existing item's parent.
+       *
+       * New items that match an existing item replace it in the graph. Items
+       * that don't match an existing item are added, and existing items that
+       * don't match any new item are removed. If a new item doesn't have a
+       * `children` array, the children of the item it replaces are kept (e.g.
+       * children loaded with `loadChildren`).
+       *
+       * Selected, active and favorited items are swapped for the new items
+       * that replace them, without firing any events. Only selected, active or
+       * favorited items that are removed are deselected, deactivated or
+       * defavorited.
+       *
+       * A `px-app-asset-graph-reconciled` event is fired instead of
+       * `px-app-asset-graph-created` when the graph is updated.
+       */
+      reconcileItems: {
+        type: Boolean,
+        value: false
+      },
+
+      /**
+       * Set to `true` to resolve routes that point into parts of the graph
+       * that have not been loaded yet. When `selectedRoute` or `activeRoute`
+       * is set to a route that can't be found, each entry of the route will
+       * be looked up in turn, loading missing children with the `loadChildren`
+       * function, before the item is selected or activated.
+       *
+       * If an entry of the route can't be found after its parent's children
+       * are loaded, a `px-app-asset-route-not-found` event is fired instead of
+       * throwing an error.
+       */
+      asyncRoutes: {
+        type: Boolean,
+        value: false
+      },
+
+      /**
+       * Set to `true` to allow the same item to appear under more than one
+       * parent, e.g. a pump that is part of both a "Site" and a "Maintenance
+       * Zone". Add the same object to the `children` of each parent. Its
+       * children only need to be listed once.
+       *
+       * Each place the item appears has its own route, so the item can be
+       * selected, activated or favorited in one place at a time by setting
+       * `selectedRoute`, `activeRoute` or `favoritedRoute`. Methods that take
+       * an item (e.g. `select()`) use the first place the item was added,
+       * unless the current route already leads to the item.
+       *
+       * Graphs that allow multiple parents are always re-built when `items`
+       * is re-assigned, even if `reconcileItems` is enabled.
+       */
+      allowMultipleParents: {
+        type: Boolean,
+        value: false,
+        observer: '__handleAllowMultipleParentsChanged'
+      },
+
+      /**
+       * Values to roll up from each item's descendants, e.g. alarm counts for
+       * nav badges. Each key is the name of an aggregate, and each value is an
+       * object with a `field` and a `reducer` ('sum', 'max', 'min', 'count' or
+       * a function). See `PxApp.AssetGraph#addAggregate` for details.
+       *
+       *     {
+       *       "alarms": { "field": "alarmCount", "reducer": "sum" },
+       *       "health": { "field": "healthScore", "reducer": "min" }
+       *     }
+       *
+       * Read the results with `getAggregate`, which can be used in bindings:
+       *
+       *     <span>[[getAggregate(item, 'alarms', _assetGraphRevision)]]</span>
+       */
+      aggregates: {
+        type: Object,
+        value: null
+      },
+
+      /**
+       * Set to `true` to record changes to the graph made with
+       * `addChildren`, `insertChildren`, `removeChildren`, `moveNode`,
+       * `sortChildren` and `updateNode`, and changes to the selected, active
+       * and favorited items, so they can be reverted with `undo()` and
+       * re-applied with `redo()`.
+       *
+       * Use `batch()` to group several changes into a single step. The
+       * history is cleared when `items` is re-assigned.
+       */
+      recordHistory: {
+        type: Boolean,
+        value: false,
+        observer: '__handleRecordHistoryChanged'
+      },
+
+      /**
+       * The maximum number of steps kept in the history. The oldest steps are
+       * dropped first.
+       */
+      historyLimit: {
+        type: Number,
+        value: 100
+      },
+
+      /**
+       * [Read-only] True if there is a step in the history to `undo()`.
+       */
+      canUndo: {
+        type: Boolean,
+        value: false,
+        notify: true,
+        readOnly: true
+      },
+
+      /**
+       * [Read-only] True if there is an undone step to `redo()`.
+       */
+      canRedo: {
+        type: Boolean,
+        value: false,
+        notify: true,
+        readOnly: true
+      },
+
       _assetGraph: {
         type: Object,
         value: null
       },
+      /* Incremented each time the graph is changed so metadata about the
+         selected, active and favorited items can be re-computed */
+      _assetGraphRevision: {
+        type: Number,
+        value: 0
+      },
       __rootItems: {
         type: Array
       }
     },
 
+    listeners: {
+      'px-app-asset-activated': '__handleAssetActivated',
+      'px-app-asset-deactivated': '__recordStateChange',
+      'px-app-asset-selected': '__recordStateChange',
+      'px-app-asset-deselected': '__recordStateChange',
+      'px-app-asset-favorited': '__recordStateChange',
+      'px-app-asset-defavorited': '__recordStateChange'
+    },
+
     observers: [
       '__handleAssetReferenceChanged(items, keys)',
-      '__handleKeyUpdated(keys.*)'
+      '__handleKeyUpdated(keys.*)',
+      '__handleSearchQueryChanged(searchQuery, _assetGraph, _assetGraphRevision)',
+      '__handleAggregatesChanged(aggregates, _assetGraph)',
+      '__recordStateChange(selected.*)',
+      '__recordStateChange(active.*)',
+      '__recordStateChange(favorited.*)'
     ],
 
     created() {
       this._createAssetGraph = PxApp.assetGraph.bind(this);
+      this.__pendingLoads = new Map();
+      this.__undoStack = [];
+      this.__redoStack = [];
+      this.__historyBatch = null;
+      this.__replayingHistory = false;
+      this.__skippingHistory = false;
+      this.__resumingChange = false;
+      this.__aggregateNames = [];
     },
 
     __handleAssetReferenceChanged: function(items: Array<Object>, keys: { id?: string, label?: string, children?: string, route?: string }) {
+      if (this.strict && items !== undefined) {
+        const errors = AssetGraph.validate(items, keys);
+        if (errors.length) {
+          this.fire('px-app-asset-graph-invalid', {items, keys, errors});
+          return;
+        }
+      }
+
       if (typeof items === 'object' && Array.isArray(items)) {
+        if (this._assetGraph !== null && this.reconcileItems && !this.allowMultipleParents && keys === this.__graphKeys) {
+          return this.__reconcileAssetGraph(items, keys);
+        }
+
         if (this._assetGraph !== null) {
           // The items were re-assigned to a new object, re-build the asset graph
           // and dump all the previous data and state
@@ -162,39 +408,478 @@
           if (typeof this.favorite === 'function') {
             this.favorite(null);
           }
+          if (typeof this.collapse === 'function') {
+            this.collapse(null);
+          }
         }
 
-        this._assetGraph = this._createAssetGraph();
+        this.__pendingLoads = new Map();
+        this._assetGraph = this._createAssetGraph({
+          keys: { id: keys.id, label: keys.label, children: keys.children },
+          allowMultipleParents: this.allowMultipleParents === true
+        });
         this._assetGraph.addChildren(null, items, {
           recursive: true,
           childrenKey: keys.children
         });
         this.__rootItems = items.slice(0);
+        this.__graphKeys = keys;
+        this.clearHistory();
         this.fire('px-app-asset-graph-created', {graph:this._assetGraph});
         return this._assetGraph;
       }
     },
 
+    /**
+     * Fired in `strict` mode when `items` or `keys` have problems. The graph
+     * is not built.
+     *
+     *   * {Array} detail.items - The items that were checked
+     *   * {Object} detail.keys - The keys that were checked
+     *   * {Array} detail.errors - Every problem found, see
+     *   `PxApp.AssetGraph.validate`
+     *
+     * @event px-app-asset-graph-invalid
+     */
+
+    __reconcileAssetGraph: function(items: Array<Object>, keys: { id?: string, children?: string }) {
+      const graph = this._assetGraph;
+      if (!graph) {
+        return;
+      }
+
+      // Drop the state of any items that won't survive while they're still
+      // in the graph, so the usual events can be fired for them. Items are
+      // matched by ID, so an item that moved to another parent survives.
+      const newIds = this.__getReconcileIds(items, keys);
+      let hasMoved = false;
+      this.__dropLostState(item => {
+        if (!this.__isKeptByItems(item, newIds, keys)) {
+          return true;
+        }
+        if (!this.__routeInItems(graph.getRoute(item, keys.id), items, keys)) {
+          hasMoved = true;
+        }
+        return false;
+      });
+
+      const result = graph.reconcile(items, { childrenKey: keys.children });
+      this.__rootItems = items.slice(0);
+
+      // Swap the remaining state for the new items that replaced the old ones.
+      // The routes only have to be re-built if one of them moved.
+      const swap = item => result.updated.get(item) || item;
+      if (this.active && typeof this.activate === 'function') {
+        this._squashActiveChange = true;
+        this.active = Array.isArray(this.active) ? this.active.map(swap) : swap(this.active);
+        this._lastActivation.item = Array.isArray(this.active) ? this._lastActivation.item : this.active;
+        this._squashActiveChange = false;
+      }
+      if (this.selected && typeof this.select === 'function') {
+        this._squashSelectedChange = true;
+        this.selected = Array.isArray(this.selected) ? this.selected.map(swap) : swap(this.selected);
+        this._lastSelection.item = Array.isArray(this.selected) ? this._lastSelection.item : this.selected;
+        this._squashSelectedChange = false;
+      }
+      if (Array.isArray(this.favorited) && typeof this.favorite === 'function') {
+        this._squashFavoritedChange = true;
+        this.favorited = this.favorited.map(swap);
+        this._squashFavoritedChange = false;
+      }
+      if (Array.isArray(this.expanded) && typeof this.expand === 'function') {
+        this._squashExpandedChange = true;
+        this.expanded = this.expanded.map(swap);
+        this._squashExpandedChange = false;
+      }
+      if (hasMoved) {
+        this.__updateRoutes();
+      }
+
+      this._assetGraphRevision++;
+      this.clearHistory();
+      this.fire('px-app-asset-graph-reconciled', {
+        graph: graph,
+        added: result.added,
+        removed: result.removed,
+        updated: result.updated
+      });
+      return graph;
+    },
+
+    /**
+     * Deactivates, deselects, defavorites and collapses every active,
+     * selected, favorited or expanded item that `isLost` returns true for.
+     * Call while the items are still in the graph. Returns the items that
+     * lost each state.
+     */
+    __dropLostState: function(isLost: (item: Object) => boolean): { deactivated: Array<Object>, deselected: Array<Object>, defavorited: Array<Object>, collapsed: Array<Object> } {
+      const dropped = { deactivated: [], deselected: [], defavorited: [], collapsed: [] };
+      if (typeof this.deactivate === 'function') {
+        dropped.deactivated = (Array.isArray(this.active) ? this.active : [this.active]).filter(item => item && isLost(item));
+        if (dropped.deactivated.length) this.deactivate(this.multiActivate ? dropped.deactivated : dropped.deactivated[0], 'ITEMS_CHANGED');
+      }
+      if (typeof this.deselect === 'function') {
+        dropped.deselected = (Array.isArray(this.selected) ? this.selected : [this.selected]).filter(item => item && isLost(item));
+        if (dropped.deselected.length) this.deselect(this.multiSelect ? dropped.deselected : dropped.deselected[0], 'ITEMS_CHANGED');
+      }
+      if (typeof this.defavorite === 'function') {
+        dropped.defavorited = (this.favorited || []).filter(item => item && isLost(item));
+        if (dropped.defavorited.length) this.defavorite(dropped.defavorited, 'ITEMS_CHANGED');
+      }
+      if (typeof this.collapse === 'function') {
+        dropped.collapsed = (this.expanded || []).filter(item => item && isLost(item));
+        if (dropped.collapsed.length) this.collapse(dropped.collapsed, 'ITEMS_CHANGED');
+      }
+      return dropped;
+    },
+
+    /**
+     * Fired when `items` is re-assigned and `reconcileItems` is enabled,
+     * after the graph has been updated to match the new items.
+     *
+     *   * {Object} detail.graph - The updated graph
+     *   * {Array} detail.added - The items that were added to the graph
+     *   * {Array} detail.removed - The items that were removed from the graph
+     *   * {Map} detail.updated - Maps each surviving item to the new item that
+     *   replaced it
+     *
+     * @event px-app-asset-graph-reconciled
+     */
+
+    /**
+     * Collects the IDs of every item in `items` and its descendants, and the
+     * IDs of the items without a `children` array, whose subtrees are kept
+     * when the graph is reconciled.
+     */
+    __getReconcileIds: function(items: Array<Object>, keys: { id?: string, children?: string }): { ids: Set<any>, keepsChildren: Set<any> } {
+      const idKey = keys.id || 'id';
+      const childKey = keys.children || 'children';
+      const ids = new Set();
+      const keepsChildren = new Set();
+      const walk = level => {
+        for (let i=0; i<level.length; i++) {
+          ids.add(level[i][idKey]);
+          if (Array.isArray(level[i][childKey])) {
+            walk(level[i][childKey]);
+          } else {
+            keepsChildren.add(level[i][idKey]);
+          }
+        }
+      };
+      walk(items);
+      return { ids, keepsChildren };
+    },
+
+    /**
+     * Checks if `item` will still be in the graph after it is reconciled
+     * with the items `newIds` was collected from. The item is kept if its
+     * ID is still there, or if the closest ancestor whose ID is still there
+     * keeps its children.
+     */
+    __isKeptByItems: function(item: Object, newIds: { ids: Set<any>, keepsChildren: Set<any> }, keys: { id?: string }): boolean {
+      const idKey = keys.id || 'id';
+      const path = this._assetGraph ? this._assetGraph.getPath(item) : null;
+      if (!path) {
+        return false;
+      }
+      for (let i=path.length-1; i>=0; i--) {
+        if (newIds.ids.has(path[i][idKey])) {
+          return i === path.length-1 || newIds.keepsChildren.has(path[i][idKey]);
+        }
+      }
+      return false;
+    },
+
+    /**
+     * Checks if the route will still exist in the graph after it is updated
+     * to match `items`. Subtrees of items without a `children` array are
+     * kept, so the route is assumed to exist below them.
+     */
+    __routeInItems: function(route: Array<string|null> | null, items: Array<Object>, keys: { id?: string, children?: string }): boolean {
+      if (!route) {
+        return false;
+      }
+      const idKey = keys.id || 'id';
+      const childKey = keys.children || 'children';
+      let level = items;
+      for (let i=0; i<route.length; i++) {
+        if (!Array.isArray(level)) {
+          return true;
+        }
+        let match = null;
+        for (let j=0; j<level.length; j++) {
+          if (level[j][idKey] === route[i]) {
+            match = level[j];
+            break;
+          }
+        }
+        if (!match) {
+          return false;
+        }
+        level = match[childKey];
+      }
+      return true;
+    },
+
   __handleKeyUpdated: function(record) {
       if (!this._assetGraph) {
         return;
       }
-      if (record.path === 'keys.children') {
+      if (record.path === 'keys.children' || record.path === 'keys.id') {
+        // The graph indexes nodes by their ID, so it must be re-built when
+        // either key changes
+        this.__graphKeys = null;
+        this.__handleAssetReferenceChanged(this.items, this.keys);
+      }
+      if (record.path === 'keys.label') {
+        this.__handleSearchQueryChanged(this.searchQuery, this._assetGraph);
+      }
+    },
+
+    __handleAggregatesChanged: function(aggregates: { [name: string]: Object } | null, graph: AssetGraph | null) {
+      if (!graph) {
+        return;
+      }
+      // Only remove the aggregates added from the `aggregates` property, so
+      // any added to the graph with `addAggregate` are kept
+      const oldNames = this.__aggregateNames || [];
+      for (let i=0; i<oldNames.length; i++) {
+        graph.removeAggregate(oldNames[i]);
+      }
+      const _aggregates = (aggregates && typeof aggregates === 'object') ? aggregates : {};
+      const names = Object.keys(_aggregates);
+      for (let i=0; i<names.length; i++) {
+        graph.addAggregate(names[i], _aggregates[names[i]]);
+      }
+      this.__aggregateNames = names;
+      this._assetGraphRevision++;
+    },
+
+    /**
+     * Returns the result of one of the `aggregates` for the item and all its
+     * descendants, or for the whole graph if `item` is null. Returns null if
+     * the item is not in the graph or there is no aggregate with the name.
+     *
+     * Pass `_assetGraphRevision` as an extra argument when using this method
+     * in a binding so the result is updated when the graph changes.
+     *
+     * @param  {Object|null} item
+     * @param  {String} name
+     * @return {*}
+     */
+    getAggregate: function(item: Object | null, name: string): any {
+      if (!this._assetGraph || !this.aggregates || !this.aggregates.hasOwnProperty(name)) {
+        return null;
+      }
+      return this._assetGraph.getAggregate(item, name);
+    },
+
+    __handleAllowMultipleParentsChanged: function(allowMultipleParents: boolean, oldValue?: boolean) {
+      if (this._assetGraph && oldValue !== undefined) {
+        this.__graphKeys = null;
         this.__handleAssetReferenceChanged(this.items, this.keys);
       }
-      if (record.path === 'keys.id') {
-        // The items were re-assigned to a new object, re-build the asset graph
-        // and dump all the previous data and state
-        if (typeof this.activate === 'function') {
-          this.activate(null);
+    },
+
+    /**
+     * Returns the route to `item`. If `routes` (e.g. the current
+     * `selectedRoute`, either one route or an array of routes) leads to the
+     * item, that route is returned so the place the item was chosen in is
+     * kept in graphs that allow multiple parents. Otherwise returns the route
+     * to the first place the item was added.
+     *
+     * `routes` can also be a map made with `_getRoutesByItem`, which is
+     * faster when looking up the routes for many items.
+     */
+    _getRouteForItem: function(item: Object, routes?: Array<any> | Map<Object, Array<string|null>> | null): Array<string|null> | null {
+      const graph = this._assetGraph;
+      if (!graph) {
+        return null;
+      }
+      if (routes instanceof Map) {
+        return routes.get(item) || graph.getRoute(item, this.keys.id);
+      }
+      if (Array.isArray(routes) && routes.length) {
+        const _routes = Array.isArray(routes[0]) ? routes : [routes];
+        for (let i=0; i<_routes.length; i++) {
+          const route = _routes[i];
+          if (Array.isArray(route) && route.length && graph.getNodeAtRoute(route, this.keys.id) === item) {
+            return route;
+          }
+        }
+      }
+      return graph.getRoute(item, this.keys.id);
+    },
+
+    /**
+     * Maps each item that one of `routes` leads to onto the first route that
+     * leads to it, for `_getRouteForItem`.
+     */
+    _getRoutesByItem: function(routes?: Array<any> | null): Map<Object, Array<string|null>> {
+      const graph = this._assetGraph;
+      const map = new Map();
+      if (!graph || !Array.isArray(routes)) {
+        return map;
+      }
+      for (let i=0; i<routes.length; i++) {
+        const route = routes[i];
+        const item = (Array.isArray(route) && route.length) ? graph.getNodeAtRoute(route, this.keys.id) : null;
+        if (item && !map.has(item)) {
+          map.set(item, route);
+        }
+      }
+      return map;
+    },
+
+    /**
+     * Returns the same information as the graph's `getInfo` about `item`, for
+     * the place in the graph found by `_getRouteForItem`.
+     */
+    _getInfoForItem: function(item: Object, routes?: Array<any> | Map<Object, Array<string|null>> | null): AssetNodeInfo | null {
+      const graph = this._assetGraph;
+      if (!graph) {
+        return null;
+      }
+      const route = this._getRouteForItem(item, routes);
+      return (route && route.length && graph.getInfoAtRoute(route, this.keys.id)) || graph.getInfo(item, this.keys.id);
+    },
+
+    /**
+     * Checks `item` against the constraints of the selectable, activatable or
+     * favoritable behavior. `current` is the list of items already chosen
+     * and `routes` the bound routes used to find the place of the item in
+     * the graph. Returns null if the item can be chosen, or the reason it
+     * can't:
+     *
+     *   * 'MAX_REACHED' - `current` already has `constraints.max` items
+     *   * 'DEPTH' - the item is not at one of `constraints.depths`
+     *   * 'NOT_LEAF' - `constraints.leavesOnly` is set and the item has children
+     *   * 'OUTSIDE_SUBTREE' - the item is not `constraints.within` (an item
+     *   or a non-empty route) or one of its descendants
+     *   * 'GUARD' - `constraints.guard(item, meta)` returned false
+     */
+    _getConstraintViolation: function(item: Object, current: Array<Object>, constraints: AssetConstraints, routes?: Array<any> | null): string | null {
+      const graph = this._assetGraph;
+      if (!graph) {
+        return null;
+      }
+      const {max, depths, leavesOnly, within, guard} = constraints;
+      if (typeof max === 'number' && max >= 0 && current.length >= max && current.indexOf(item) === -1) {
+        return 'MAX_REACHED';
+      }
+      const depthList = Array.isArray(depths) && depths.length ? depths : null;
+      // Only look up the metadata if a constraint needs it
+      const meta = (depthList || leavesOnly || typeof guard === 'function') ? this._getInfoForItem(item, routes) : null;
+      if (depthList && meta && depthList.indexOf(meta.depth) === -1) {
+        return 'DEPTH';
+      }
+      if (leavesOnly && meta && !meta.isLeaf) {
+        return 'NOT_LEAF';
+      }
+      // An empty route is treated like null, so it does not restrict anything
+      if (within && !(Array.isArray(within) && !within.length)) {
+        const root = Array.isArray(within) ? graph.getNodeAtRoute(within, this.keys.id) : within;
+        const paths = graph.getPaths(item) || [];
+        if (!root || !paths.some(path => path.indexOf(root) > -1)) {
+          return 'OUTSIDE_SUBTREE';
+        }
+      }
+      if (typeof guard === 'function' && guard.call(this, item, meta) === false) {
+        return 'GUARD';
+      }
+      return null;
+    },
+
+    /**
+     * Returns true if `item` can be chosen under `constraints`. Otherwise
+     * fires `px-app-asset-selection-rejected` and returns false.
+     */
+    _checkConstraints: function(action: string, item: Object, current: Array<Object>, constraints: AssetConstraints, routes: Array<any> | null, source: string): boolean {
+      const reason = this._getConstraintViolation(item, current, constraints, routes);
+      if (reason) {
+        this.fire('px-app-asset-selection-rejected', {action, item, reason, source});
+        return false;
+      }
+      return true;
+    },
+    /**
+     * Fired when an item can't be selected, activated or favorited because
+     * of the constraints set on the component (e.g. `maxSelected` or
+     * `canSelect`). The item's state and the bound routes are not changed.
+     *
+     *   * {String} detail.action - 'select', 'activate' or 'favorite'
+     *   * {Object} detail.item - Reference to the rejected item
+     *   * {String} detail.reason - 'MAX_REACHED', 'DEPTH', 'NOT_LEAF',
+     *   'OUTSIDE_SUBTREE' or 'GUARD'
+     *   * {String} detail.source - What triggered the change, the same as the
+     *   `source` of the selected, activated and favorited events
+     *
+     * @event px-app-asset-selection-rejected
+     */
+
+    /**
+     * Returns the items that can be chosen together under `constraints`,
+     * in order, firing `px-app-asset-selection-rejected` for the others.
+     * Used when a bound route replaces the whole list of chosen items.
+     */
+    _filterByConstraints: function(action: string, items: Array<Object>, constraints: AssetConstraints, routes: Array<any> | null, source: string): Array<Object> {
+      const allowed = [];
+      for (let i=0; i<items.length; i++) {
+        if (allowed.indexOf(items[i]) === -1 && this._checkConstraints(action, items[i], allowed, constraints, routes, source)) {
+          allowed.push(items[i]);
         }
-        if (typeof this.select === 'function') {
-          this.select(null);
+      }
+      return allowed;
+    },
+
+    /**
+     * Fires the cancelable `px-app-asset-before-<action>` event before the
+     * selectable, activatable or favoritable behavior changes the state of an
+     * item. Returns false if a listener called `preventDefault()` on it.
+     *
+     * `change` makes the same change again and is passed to the listeners as
+     * `detail.resume`, so they can cancel the change and resume it later
+     * (e.g. after a confirm dialog). The event is not fired again while the
+     * change is resumed. Items removed from the graph ('ITEMS_CHANGED') can't
+     * keep their state, so no event is fired for them.
+     */
+    _fireBeforeChange: function(action: string, detail: Object, change: () => mixed): boolean {
+      if (this.__resumingChange || detail.source === 'ITEMS_CHANGED') {
+        return true;
+      }
+      const resume = () => {
+        this.__resumingChange = true;
+        try {
+          change();
         }
-        if (typeof this.favorite === 'function') {
-          this.favorite(null);
+        finally {
+          this.__resumingChange = false;
         }
+      };
+      const evt = this.fire(`px-app-asset-before-${action}`, Object.assign({}, detail, {resume}), {cancelable: true});
+      return !(evt && evt.defaultPrevented);
+    },
+
+    /* Also called each time the graph changes, so results are not kept for
+       items that were removed or moved */
+    __handleSearchQueryChanged: function(searchQuery: string, graph: AssetGraph | null, revision?: number) {
+      if (typeof searchQuery !== 'string' || !searchQuery.length || !graph) {
+        this.cancelDebouncer('px-app-asset-search');
+        this._setSearchResults([]);
+        return;
       }
+      const _graph: AssetGraph = graph;
+      const results = Array.isArray(this.searchResults) ? this.searchResults : [];
+      if (results.some(result => !_graph.hasNode(result.item))) {
+        // Don't wait for the search to stop handing out removed items
+        this._setSearchResults(results.filter(result => _graph.hasNode(result.item)));
+      }
+      this.debounce('px-app-asset-search', () => {
+        this._setSearchResults(_graph.search(searchQuery, {
+          labelKey: this.keys.label,
+          routeKey: this.keys.id
+        }));
+      }, this.searchDebounceTime);
     },
 
     /**
@@ -210,60 +895,688 @@
      * @param  {Object|Array<Object>} children
      */
     addChildren(node, children, options) {
+      this.insertChildren(node, children, null, options);
+    },
+
+    /**
+     * Inserts a child or children into the requested node's children at
+     * `index`. Pass a single object to insert one child, or an array of
+     * objects to insert multiple children. If `index` is null or past the
+     * end of the node's children, the children are added to the end.
+     *
+     * See `addChildren` for more information.
+     *
+     * @param  {Object|null} node
+     * @param  {Object|Array<Object>} children
+     * @param  {Number|null} index
+     */
+    insertChildren(node, children, index, options) {
       if (this._assetGraph !== null) {
-        this._assetGraph.addChildren(node, children, Object.assign({}, {
+        this._assetGraph.insertChildren(node, children, index, Object.assign({}, {
           recursive: true,
           childrenKey: this.keys.children
         }, options||{}));
+        const childArray = Array.isArray(children) ? children.slice(0) : [children];
+        this.__recordHistory(
+          () => this.removeChildren(node, childArray),
+          () => this.insertChildren(node, children, index, options)
+        );
         if (node === null) {
-          let childrenArray = Array.isArray(children) ? children : [children];
-          this.__rootItems = this.__rootItems.concat(childrenArray)
+          this.__rootItems = this._assetGraph.getRootChildren();
         }
+        this._assetGraphRevision++;
         this.fire('px-app-asset-children-updated', (node === null) ? {item:null, added:children, children:this.__rootItems} : Object.assign({}, this._assetGraph.getInfo(node), {added:children}));
       }
     },
 
     /**
-     * Removes a child or children from the requested node. Pass `children` a
-     * single object to remove one child, an array of objects to remove multiple
-     * children, or null to remove all children.
+     * Moves an item (and all its descendants) to a new position in the graph.
+     * The item is removed from its current parent and inserted into the
+     * `newParent`'s children at `index`. Call with `newParent` as null to move
+     * the item to the root of the graph. If `index` is null, the item is
+     * added to the end of the new parent's children.
      *
-     * The `node` should be a direct reference to one of the objects already
-     * in the asset graph (e.g. one of the `items` objects or another node
-     * added through the `addChildren` API). To add children to the root
-     * of the graph, call with `node` as null.
+     * If the item or one of its descendants is selected, active or
+     * favorited, the matching `selectedRoute`, `activeRoute` or
+     * `favoritedRoute` will be updated.
      *
-     * @param  {Object|null} node
-     * @param  {Object|Array<Object>} children
+     * @param  {Object} node
+     * @param  {Object|null} newParent
+     * @param  {Number|null} index
      */
-    removeChildren(node, children, options) {
+    moveNode(node, newParent, index) {
       if (this._assetGraph !== null) {
-        const childrenArray = Array.isArray(children) ? children : [children];
-
-        if (typeof this.activate === 'function' || typeof this.select === 'function') {
-          // Deactivate or deselect if the active/selected items are in the path
-          // of one of the removed items
-          let deactivated;
-          let deselected;
-          for (let i=0; i<childrenArray.length; i++) {
-            if (!deactivated && typeof this.activate === 'function' && this.activeMeta && (this.activeMeta.item === childrenArray[i] || (this.activeMeta.path && this.activeMeta.path.indexOf(childrenArray[i]) > -1))) {
-              this.activate(null);
-              deactivated = true;
-            }
-            if (!deselected && typeof this.select === 'function' && this.selectedMeta && (this.selectedMeta.item === childrenArray[i] || (this.selectedMeta.path && this.selectedMeta.path.indexOf(childrenArray[i]) > -1))) {
-              this.select(null);
-              deactivated = true;
-            }
-          }
+        const oldParent = this._assetGraph.getParent(node);
+        const oldRoute = this._assetGraph.getRoute(node, this.keys.id);
+        const oldIndex = (this._assetGraph.getSiblings(node) || []).indexOf(node);
+        this._assetGraph.moveNode(node, newParent, index);
+        this.__recordHistory(
+          () => this.moveNode(node, oldParent, oldIndex),
+          () => this.moveNode(node, newParent, index)
+        );
+        if (oldParent === null || newParent === null) {
+          this.__rootItems = this._assetGraph.getRootChildren();
         }
-
-        this._assetGraph.removeChildren(node, children, options);
-        if (node === null) {
-          this.__rootItems = this.__rootItems.filter(item => childrenArray.indexOf(item) === -1);
+        this._assetGraphRevision++;
+        if (oldParent !== newParent) {
+          this.__updateRoutes();
         }
-        this.fire('px-app-asset-children-updated', (node === null) ? {item:null, removed:children, children:this.__rootItems} : Object.assign({}, this._assetGraph.getInfo(node), {removed:children}));
+        const siblings = this._assetGraph.getSiblings(node) || [];
+        this.fire('px-app-asset-moved', {
+          item: node,
+          oldParent: oldParent,
+          parent: newParent,
+          oldRoute: oldRoute,
+          route: this._assetGraph.getRoute(node, this.keys.id),
+          index: siblings.indexOf(node)
+        });
       }
-    }
+    },
+    /**
+     * Fired when an item is moved with `moveNode`.
+     *
+     *   * {Object} detail.item - Reference to the item that was moved
+     *   * {Object} detail.oldParent - The item's previous parent, or null
+     *   * {Object} detail.parent - The item's new parent, or null
+     *   * {Array} detail.oldRoute - Route to the item before it was moved
+     *   * {Array} detail.route - Route to the item after it was moved
+     *   * {Number} detail.index - The item's position in its new parent's children
+     *
+     * @event px-app-asset-moved
+     */
+
+    /**
+     * Sorts the requested node's children in place using `comparator`, which
+     * works like the comparator for `Array.prototype.sort`. Call with `node`
+     * as null to sort the items at the root of the graph.
+     *
+     * @param  {Object|null} node
+     * @param  {Function} comparator
+     */
+    sortChildren(node, comparator) {
+      if (this._assetGraph !== null) {
+        const oldOrder = this._assetGraph.getChildren(node) || [];
+        this._assetGraph.sortChildren(node, comparator);
+        this.__recordHistory(
+          () => this.sortChildren(node, (a, b) => oldOrder.indexOf(a) - oldOrder.indexOf(b)),
+          () => this.sortChildren(node, comparator)
+        );
+        if (node === null) {
+          this.__rootItems = this._assetGraph.getRootChildren();
+        }
+        this._assetGraphRevision++;
+        this.fire('px-app-asset-children-updated', (node === null) ? {item:null, children:this.__rootItems} : this._assetGraph.getInfo(node));
+      }
+    },
+
+    /**
+     * Updates the fields of an item with the values in `patch` and notifies
+     * everything bound to it. Use this instead of changing the item by hand
+     * so `selectedMeta`, `activeMeta`, `favoritedMeta`, `searchResults` and
+     * the aggregates are kept up to date. The `children` of the item can't
+     * be changed with a patch, use `addChildren` and `removeChildren`.
+     *
+     * If the item's ID is changed, the `selectedRoute`, `activeRoute` and
+     * `favoritedRoute` of the item and its descendants are updated.
+     *
+     * @param  {Object} node
+     * @param  {Object} patch
+     */
+    updateNode(node, patch) {
+      if (this._assetGraph === null) {
+        return;
+      }
+      const graph = this._assetGraph;
+      const oldRoute = graph.getRoute(node, this.keys.id);
+      const changes = graph.updateNode(node, patch);
+      const keys = Object.keys(changes);
+      if (!keys.length) {
+        return;
+      }
+
+      const oldValues = {};
+      keys.forEach(key => {
+        oldValues[key] = changes[key].oldValue;
+      });
+      this.__recordHistory(
+        () => this.updateNode(node, oldValues),
+        () => this.updateNode(node, patch)
+      );
+      this._assetGraphRevision++;
+      if (changes.hasOwnProperty(this.keys.id)) {
+        this.__updateRoutes();
+      }
+      // The item was changed in place, so tell anything bound directly to
+      // its fields, either as the single item or at its index in the array
+      const paths = [];
+      const addPath = (name, value) => {
+        if (Array.isArray(value)) {
+          const index = value.indexOf(node);
+          if (index > -1) {
+            paths.push(`${name}.${index}`);
+          }
+        } else if (value === node) {
+          paths.push(name);
+        }
+      };
+      addPath('selected', this.selected);
+      addPath('active', this.active);
+      addPath('favorited', this.favorited);
+      for (let i=0; i<paths.length; i++) {
+        for (let j=0; j<keys.length; j++) {
+          this.notifyPath(`${paths[i]}.${keys[j]}`, node[keys[j]]);
+        }
+      }
+      this.fire('px-app-asset-updated', {
+        item: node,
+        changes: changes,
+        oldRoute: oldRoute,
+        route: graph.getRoute(node, this.keys.id)
+      });
+    },
+    /**
+     * Fired when an item is changed with `updateNode`.
+     *
+     *   * {Object} detail.item - Reference to the item that was changed
+     *   * {Object} detail.changes - Each field that changed, with an object
+     *   with the field's `value` and `oldValue`
+     *   * {Array} detail.oldRoute - Route to the item before it was changed
+     *   * {Array} detail.route - Route to the item after it was changed
+     *
+     * @event px-app-asset-updated
+     */
+
+    /**
+     * Routes are built from each item's ancestors, so they have to be
+     * re-built for any selected, active or favorited item when items move
+     * to a new parent or an ancestor's ID changes.
+     */
+    __updateRoutes() {
+      if (typeof this._updateSelectedRoute === 'function') {
+        if (this.multiSelect && Array.isArray(this.selected) && this.selected.length) {
+          this._updateSelectedRouteMulti(this.selected);
+        }
+        else if (!this.multiSelect && this.selected) {
+          this._updateSelectedRoute(this.selected);
+        }
+      }
+      if (typeof this._updateActiveRoute === 'function') {
+        if (this.multiActivate && Array.isArray(this.active) && this.active.length) {
+          this._updateActiveRouteMulti(this.active);
+        }
+        else if (!this.multiActivate && this.active) {
+          this._updateActiveRoute(this.active);
+        }
+      }
+      if (typeof this._updateFavoritedRouteMulti === 'function' && Array.isArray(this.favorited) && this.favorited.length) {
+        this._updateFavoritedRouteMulti(this.favorited);
+      }
+      if (typeof this._updateExpandedRoute === 'function' && Array.isArray(this.expanded) && this.expanded.length) {
+        this._updateExpandedRoute(this.expanded);
+      }
+    },
+
+    /**
+     * Loads the children of the requested node with the `loadChildren` function
+     * and adds them to the graph. Returns a Promise that resolves with the
+     * node's children once they are loaded, or rejects if they could not be
+     * loaded. Call with `node` as null to load the root of the graph.
+     *
+     * Nodes that are terminal or exhausted are not loaded again, and the
+     * Promise resolves right away with their current children. If the node's
+     * children are already being loaded, the Promise for that load is returned.
+     *
+     * @param  {Object|null} node
+     * @return {Promise<Array<Object>>}
+     */
+    loadChildrenFor(node) {
+      const graph = this._assetGraph;
+      if (!graph || (node !== null && !graph.hasNode(node))) {
+        return Promise.reject(new Error('The node must be a node in the graph or null.'));
+      }
+      if (typeof this.loadChildren !== 'function' || graph.isTerminal(node) || graph.isExhausted(node)) {
+        return Promise.resolve(graph.getChildren(node));
+      }
+
+      const key = (node === null) ? graph._rootNode : node;
+      const pending = this.__pendingLoads.get(key);
+      if (pending) {
+        return pending;
+      }
+
+      this.fire('px-app-asset-children-loading', {item:node});
+      const load = Promise.resolve()
+        .then(() => this.loadChildren(node))
+        .then(result => {
+          this.__pendingLoads.delete(key);
+          if (graph !== this._assetGraph || (node !== null && !graph.hasNode(node))) {
+            // The graph was re-built or the node was removed while loading,
+            // there is nowhere to put the children
+            return [];
+          }
+          const children = Array.isArray(result) ? result : (result && Array.isArray(result.children) ? result.children : []);
+          const isExhausted = (result && !Array.isArray(result) && typeof result.isExhausted === 'boolean') ? result.isExhausted : true;
+          if (children.length) {
+            // Loaded children are not an edit, so undo can't remove them
+            // and leave the node exhausted with no children
+            this.__withoutHistory(() => this.addChildren(node, children, {isExhausted}));
+          } else {
+            graph.setExhausted(node, isExhausted);
+          }
+          this.fire('px-app-asset-children-loaded', {item:node, added:children, children:graph.getChildren(node)});
+          return graph.getChildren(node);
+        }, error => {
+          this.__pendingLoads.delete(key);
+          this.fire('px-app-asset-children-load-error', {item:node, error});
+          throw error;
+        });
+      this.__pendingLoads.set(key, load);
+      return load;
+    },
+    /**
+     * Fired when the `loadChildren` function is called to load the children
+     * of an item.
+     *
+     *   * {Object} detail.item - Reference to the item, or null for the root
+     *
+     * @event px-app-asset-children-loading
+     */
+    /**
+     * Fired when the children of an item have been loaded and added to the
+     * graph.
+     *
+     *   * {Object} detail.item - Reference to the item, or null for the root
+     *   * {Array} detail.added - The children that were loaded
+     *   * {Array} detail.children - All the children of the item
+     *
+     * @event px-app-asset-children-loaded
+     */
+    /**
+     * Fired when the Promise returned by `loadChildren` is rejected.
+     *
+     *   * {Object} detail.item - Reference to the item, or null for the root
+     *   * {Error} detail.error - The reason the Promise was rejected
+     *
+     * @event px-app-asset-children-load-error
+     */
+
+    /**
+     * Finds the node at the end of the route, loading the children of each
+     * node along the route with `loadChildren` if they haven't been loaded yet.
+     * Returns a Promise that resolves with the node, or with null if the
+     * node could not be found.
+     *
+     * If an entry of the route is not one of its parent's children after the
+     * parent is loaded (or the parent can't be loaded because it is terminal
+     * or exhausted), the `px-app-asset-route-not-found` event is fired.
+     *
+     * @param  {Array<string>} route
+     * @return {Promise<Object|null>}
+     */
+    resolveRoute(route) {
+      const graph = this._assetGraph;
+      if (!graph || !Array.isArray(route) || !route.length) {
+        return Promise.resolve(null);
+      }
+
+      const routeKey = this.keys.id;
+      const found = graph.getNodeAtRoute(route, routeKey);
+      if (found) {
+        return Promise.resolve(found);
+      }
+
+      const findChild = (parent, id) => {
+        const children = graph.getChildren(parent) || [];
+        for (let i=0; i<children.length; i++) {
+          if (children[i][routeKey] === id) {
+            return children[i];
+          }
+        }
+        return null;
+      };
+      const notFound = (parent, index) => {
+        this.fire('px-app-asset-route-not-found', {
+          route: route,
+          missing: route[index],
+          parent: parent,
+          path: route.slice(0, index)
+        });
+        return null;
+      };
+      const walk = (parent, index) => {
+        const child = findChild(parent, route[index]);
+        if (child) {
+          return (index === route.length - 1) ? child : walk(child, index + 1);
+        }
+        if (typeof this.loadChildren !== 'function' || graph.isTerminal(parent) || graph.isExhausted(parent)) {
+          return notFound(parent, index);
+        }
+        return this.loadChildrenFor(parent).then(() => {
+          if (graph !== this._assetGraph) {
+            return null;
+          }
+          const loaded = findChild(parent, route[index]);
+          if (!loaded) {
+            return notFound(parent, index);
+          }
+          return (index === route.length - 1) ? loaded : walk(loaded, index + 1);
+        });
+      };
+
+      // Load errors are reported through the `px-app-asset-children-load-error`
+      // event, the route just can't be resolved
+      return Promise.resolve()
+        .then(() => walk(null, 0))
+        .catch(() => null);
+    },
+    /**
+     * Fired when `resolveRoute` can't find an entry of a route, even after
+     * loading the children of its parent.
+     *
+     *   * {Array} detail.route - The route that was being resolved
+     *   * {String} detail.missing - The entry of the route that was not found
+     *   * {Object} detail.parent - The item the entry should be a child of,
+     *   or null for the root of the graph
+     *   * {Array} detail.path - The part of the route that was found
+     *
+     * @event px-app-asset-route-not-found
+     */
+
+    __handleAssetActivated(evt) {
+      this.__recordStateChange();
+      this.__loadChildrenOnActivate(evt);
+    },
+
+    __loadChildrenOnActivate(evt) {
+      if (typeof this.loadChildren !== 'function' || !evt.detail || !evt.detail.item) {
+        return;
+      }
+      // Errors are reported through the `px-app-asset-children-load-error` event
+      this.loadChildrenFor(evt.detail.item).catch(() => {});
+    },
+
+    /**
+     * Removes a child or children from the requested node. Pass `children` a
+     * single object to remove one child, an array of objects to remove multiple
+     * children, or null to remove all children.
+     *
+     * The `node` should be a direct reference to one of the objects already
+     * in the asset graph (e.g. one of the `items` objects or another node
+     * added through the `addChildren` API). To add children to the root
+     * of the graph, call with `node` as null.
+     *
+     * The descendants of the children are removed with them. Any removed
+     * items that are selected, active, favorited or expanded are deselected,
+     * deactivated, defavorited or collapsed first, and a single
+     * `px-app-asset-removed` event lists everything that changed.
+     *
+     * @param  {Object|null} node
+     * @param  {Object|Array<Object>} children
+     * @return {Array<Object>} every item removed from the graph, including descendants
+     */
+    removeChildren(node, children, options) {
+      if (this._assetGraph === null) {
+        return [];
+      }
+      return this.batch(() => this.__removeChildren(node, children, options));
+    },
+
+    __removeChildren(node, children, options) {
+      const graph = this._assetGraph;
+      const siblings = graph.getChildren(node) || [];
+      const childrenArray = (children === null) ? siblings.slice(0) : (Array.isArray(children) ? children : [children]);
+
+      // Drop the state of everything that will leave the graph while it can
+      // still be looked up, so the usual events can be fired for it
+      const lost = new Set(graph._findRemovals(node, childrenArray).items);
+      const dropped = this.__dropLostState(item => lost.has(item));
+
+      const snapshots = siblings
+        .filter(child => childrenArray.indexOf(child) > -1)
+        .map(child => ({index:siblings.indexOf(child), snapshot:graph._takeSnapshot(child)}));
+
+      const removed = childrenArray.length ? (graph.removeChildren(node, childrenArray, options) || []) : [];
+      this.__recordHistory(
+        () => this.__restoreChildren(node, snapshots),
+        () => this.removeChildren(node, snapshots.map(s => s.snapshot.item), options)
+      );
+      if (node === null) {
+        this.__rootItems = this.__rootItems.filter(item => childrenArray.indexOf(item) === -1);
+      }
+      if (this.allowMultipleParents) {
+        // Items that are still in the graph may have lost the place their
+        // route pointed to
+        this.__updateRoutes();
+      }
+      this._assetGraphRevision++;
+      this.fire('px-app-asset-children-updated', (node === null) ? {item:null, removed:children, children:this.__rootItems} : Object.assign({}, graph.getInfo(node), {removed:children}));
+      this.fire('px-app-asset-removed', Object.assign({item:node, children:childrenArray, removed}, dropped));
+      return removed;
+    },
+    /**
+     * Fired when items are removed from the graph with `removeChildren`.
+     *
+     *   * {Object|null} detail.item - The parent the children were removed from,
+     *   or null for the root
+     *   * {Array} detail.children - The children that were removed
+     *   * {Array} detail.removed - Every item that left the graph, including
+     *   the children's descendants
+     *   * {Array} detail.deselected - The removed items that were deselected
+     *   * {Array} detail.deactivated - The removed items that were deactivated
+     *   * {Array} detail.defavorited - The removed items that were defavorited
+     *   * {Array} detail.collapsed - The removed items that were collapsed
+     *
+     * @event px-app-asset-removed
+     */
+
+    /**
+     * Adds back children removed by `removeChildren` at their old indexes,
+     * along with their descendants and flags.
+     */
+    __restoreChildren(node, snapshots) {
+      const graph = this._assetGraph;
+      if (graph === null || !snapshots.length) {
+        return;
+      }
+      const added = snapshots.map(s => s.snapshot.item);
+      snapshots.forEach(s => graph._restoreSnapshot(node, s.snapshot, s.index));
+      if (node === null) {
+        this.__rootItems = graph.getRootChildren().slice(0);
+      }
+      this._assetGraphRevision++;
+      this.fire('px-app-asset-children-updated', (node === null) ? {item:null, added:added, children:this.__rootItems} : Object.assign({}, graph.getInfo(node), {added:added}));
+    },
+
+    /**
+     * Runs `fn` and records all changes it makes to the graph and the
+     * selected, active and favorited items as a single step in the history,
+     * so one call to `undo()` reverts them all. Returns the result of `fn`.
+     *
+     * Calls to `batch` can be nested; only the outermost call creates a step.
+     *
+     * @param {Function} fn
+     * @return {*}
+     */
+    batch(fn) {
+      if (this.__historyBatch !== null) {
+        return fn();
+      }
+      const batch = this.__historyBatch = [];
+      try {
+        return fn();
+      }
+      finally {
+        this.__historyBatch = null;
+        if (batch.length) {
+          this.__pushHistory(batch);
+        }
+      }
+    },
+
+    /**
+     * Reverts the last step in the history. Does nothing if `canUndo` is false.
+     */
+    undo() {
+      const step = this.__undoStack.pop();
+      if (!step) {
+        return;
+      }
+      this.__replayHistory(() => {
+        for (let i=step.length-1; i>=0; i--) {
+          step[i].undo();
+        }
+      });
+      this.__redoStack.push(step);
+      this.__updateHistoryFlags();
+    },
+
+    /**
+     * Re-applies the last step reverted with `undo()`. Does nothing if
+     * `canRedo` is false.
+     */
+    redo() {
+      const step = this.__redoStack.pop();
+      if (!step) {
+        return;
+      }
+      this.__replayHistory(() => {
+        for (let i=0; i<step.length; i++) {
+          step[i].redo();
+        }
+      });
+      this.__undoStack.push(step);
+      this.__updateHistoryFlags();
+    },
+
+    /**
+     * Drops all steps from the history.
+     */
+    clearHistory() {
+      this.__undoStack = [];
+      this.__redoStack = [];
+      this.__historyState = this.__getHistoryState();
+      this.__updateHistoryFlags();
+    },
+
+    __handleRecordHistoryChanged() {
+      this.clearHistory();
+    },
+
+    __recordHistory(undo, redo) {
+      if (!this.recordHistory || this.__replayingHistory || this.__skippingHistory) {
+        return;
+      }
+      if (this.__historyBatch !== null) {
+        this.__historyBatch.push({undo, redo});
+        return;
+      }
+      this.__pushHistory([{undo, redo}]);
+    },
+
+    __pushHistory(step) {
+      this.__undoStack.push(step);
+      this.__redoStack = [];
+      const limit = Math.max(0, this.historyLimit);
+      if (this.__undoStack.length > limit) {
+        this.__undoStack.splice(0, this.__undoStack.length - limit);
+      }
+      this.__updateHistoryFlags();
+    },
+
+    __replayHistory(fn) {
+      this.__replayingHistory = true;
+      try {
+        fn();
+      }
+      finally {
+        this.__replayingHistory = false;
+        this.__historyState = this.__getHistoryState();
+      }
+    },
+
+    __withoutHistory(fn) {
+      const skipping = this.__skippingHistory;
+      this.__skippingHistory = true;
+      try {
+        return fn();
+      }
+      finally {
+        this.__skippingHistory = skipping;
+      }
+    },
+
+    __updateHistoryFlags() {
+      this._setCanUndo(this.__undoStack.length > 0);
+      this._setCanRedo(this.__redoStack.length > 0);
+    },
+
+    /**
+     * Returns a copy of the selected, active and favorited state to compare
+     * against when the state changes.
+     */
+    __getHistoryState() {
+      const copy = value => Array.isArray(value) ? value.slice(0) : value;
+      return {
+        selected: copy(this.selected),
+        active: copy(this.active),
+        favorited: copy(this.favorited)
+      };
+    },
+
+    /**
+     * Records a step for a change to the selected, active or favorited state.
+     * Called by the events of the behaviors and the observers of the state,
+     * so the last state is kept up to date when it is set directly. Only the
+     * first call for each change adds a step.
+     */
+    __recordStateChange() {
+      const oldState = this.__historyState;
+      const newState = this.__getHistoryState();
+      this.__historyState = newState;
+      if (!oldState || this.__isSameHistoryState(oldState, newState)) {
+        return;
+      }
+      this.__recordHistory(
+        () => this.__restoreState(newState, oldState),
+        () => this.__restoreState(oldState, newState)
+      );
+    },
+
+    __isSameHistoryState(state, other) {
+      const same = (a, b) => (Array.isArray(a) && Array.isArray(b))
+        ? a.length === b.length && a.every((item, i) => item === b[i])
+        : a === b;
+      return same(state.selected, other.selected) && same(state.active, other.active) && same(state.favorited, other.favorited);
+    },
+
+    __restoreState(fromState, toState) {
+      const sets = [
+        ['selected', 'select', 'deselect'],
+        ['active', 'activate', 'deactivate'],
+        ['favorited', 'favorite', 'defavorite']
+      ];
+      sets.forEach(([prop, add, remove]) => {
+        if (typeof this[add] !== 'function') {
+          return;
+        }
+        const from = fromState[prop];
+        const to = toState[prop];
+        if (Array.isArray(from) || Array.isArray(to)) {
+          const fromArray = from || [];
+          const toArray = to || [];
+          fromArray.filter(item => toArray.indexOf(item) === -1).forEach(item => this[remove](item, 'HISTORY'));
+          toArray.filter(item => fromArray.indexOf(item) === -1).forEach(item => this[add](item, 'HISTORY'));
+        }
+        else if (from !== to) {
+          if (to) {
+            this[add](to, 'HISTORY');
+          }
+          else if (typeof this[remove] === 'function') {
+            this[remove](from, 'HISTORY');
+          }
+        }
+      });
+    }
   };
   PxAppBehavior.AssetGraph = AssetGraphBehavior;
 
@@ -277,409 +1590,2322 @@
     hasChildren: boolean | null,
     isTerminal: boolean | null,
     isExhausted: boolean | null,
-    isSelectable: boolean | null
+    isSelectable: boolean | null,
+    depth: number,
+    index: number,
+    siblingCount: number,
+    descendantCount: number,
+    isLeaf: boolean
+  }
+
+  type AssetConstraints = {
+    max?: number | null,
+    depths?: Array<number> | null,
+    leavesOnly?: boolean,
+    within?: Object | Array<string> | null,
+    guard?: Function | null
   }
 
   type AssetGraphKeys = {
     id?: string,
+    label?: string,
     children?: string
   }
 
+  type AssetGraphJSON = {
+    keys: AssetGraphKeys,
+    isExhausted: boolean,
+    allowMultipleParents?: boolean,
+    items: Array<Object>
+  }
+
+  type AssetValidationError = {
+    code: 'invalid-keys' | 'invalid-items' | 'invalid-item' | 'missing-id' | 'duplicate-id' | 'invalid-children' | 'terminal-with-children',
+    message: string,
+    route: Array<string|null> | null,
+    item: Object | null
+  }
+
+  type AssetGraphReconcileResult = {
+    added: Array<Object>,
+    removed: Array<Object>,
+    updated: Map<Object, Object>
+  }
+
+  type AssetGraphReconcileState = {
+    unclaimed: Map<any, Array<Object>>,
+    claimed: Set<Object>,
+    oldParents: Map<Object, Object>,
+    oldChildren: Map<Object, Array<Object>>,
+    keepChildren: Array<Object>
+  }
+
+  type AssetRow = {
+    item: Object,
+    depth: number,
+    hasChildren: boolean,
+    expanded: boolean
+  }
+
+  type AssetSnapshot = {
+    item: Object,
+    flags: Object,
+    children: Array<AssetSnapshot>
+  }
+
+  type AssetAggregate = {
+    value: (node: Object) => any,
+    reduce: (value: any, childResults: Array<any>) => any,
+    cache: WeakMap<Object, any>
+  }
+
+  type AssetSearchResult = AssetNodeInfo & {
+    match: 'prefix' | 'substring' | 'fuzzy',
+    score: number
+  }
+
   class AssetGraph {
     _options: Object;
     _tree: SymbolTree;
-    _rootNode: { ROOT: boolean };
+    _rootNode: { ROOT: boolean, item: null };
     _defaultKeys: {
       id: string,
+      label: string,
       children: string
     };
-    _symbol: Symbol;
+    _data: WeakMap<Object, { isExhausted: boolean | null, isTerminal: boolean | null, isSelectable: boolean | null }>;
+    _allowMultipleParents: boolean;
+    _placements: Map<Object, Array<Object>>;
+    _index: Map<string | number, Array<Object>>;
+    _listeners: { [type: string]: Array<Function> };
+    _addedBatch: Array<Object> | null;
+    _aggregates: { [name: string]: AssetAggregate };
+    _descendantCounts: WeakMap<Object, number>;
+    _expanded: WeakSet<Object>;
+    _rows: Array<AssetRow> | null;
+    _rowPlacements: Array<Object> | null;
 
-    constructor(options?: {}) {
+    constructor(options?: { keys?: AssetGraphKeys, allowMultipleParents?: boolean }) {
       /* Save options  */
-      this._options = {};
+      this._options = Object.assign({}, options || {});
 
-      /* Add default keys */
+      /* Add default keys, overridden by any keys passed in the options */
+      const keys = this._options.keys || {};
       this._defaultKeys = {
-        id: 'id',
-        children: 'children'
+        id: (typeof keys.id === 'string' && keys.id.length) ? keys.id : 'id',
+        label: (typeof keys.label === 'string' && keys.label.length) ? keys.label : 'label',
+        children: (typeof keys.children === 'string' && keys.children.length) ? keys.children : 'children'
+      };
+
+      /* Initialize SymbolTree and prepare its root node */
+      this._tree = new SymbolTree();
+      this._rootNode = { ROOT : true, item: null };
+
+      /* Keeps the flags of each node. Nothing is stored on the items
+         themselves, so many graphs can share the same items (and frozen
+         items can be used). */
+      this._data = new WeakMap();
+
+      /* The SymbolTree is built from placement objects (`{item}`) instead of
+         the items themselves, so an item can appear in more than one place.
+         Maps each item to its placements, in the order they were added. */
+      this._allowMultipleParents = this._options.allowMultipleParents === true;
+      this._placements = new Map();
+
+      /* Maps each ID to the node(s) in the graph that have that ID */
+      this._index = new Map();
+
+      /* Callbacks subscribed to graph changes with `on`, by event type */
+      this._listeners = {};
+      this._addedBatch = null;
+
+      /* Aggregates registered with `addAggregate`, by name */
+      this._aggregates = {};
+
+      /* Caches the number of descendants of each node for `getInfo`. Cleared
+         along with the aggregates when the graph changes. */
+      this._descendantCounts = new WeakMap();
+
+      /* Nodes expanded with `setExpanded`, and the rows built from them by
+         `getVisibleRows` with the placement each row is for. The rows are
+         updated in place when nodes are expanded or collapsed or children
+         change, instead of being built again. */
+      this._expanded = new WeakSet();
+      this._rows = null;
+      this._rowPlacements = null;
+    }
+
+    /**
+     * Subscribes to changes to the graph. The `callback` will be called with
+     * an object describing the change each time an event of the requested
+     * type happens. Returns a function that can be called to unsubscribe.
+     *
+     * The following event types are available:
+     *
+     * - 'added': Nodes were added with `addChildren` or `insertChildren`.
+     * Called once per call, even when children are added recursively.
+     * Detail: `{parent, children, nodes}` where `children` are the nodes added
+     * directly to `parent` and `nodes` also includes all their descendants.
+     * - 'removed': Nodes were removed with `removeChildren`. Detail:
+     * `{parent, children, nodes}`, same as 'added'.
+     * - 'moved': A node was moved with `moveNode`. Detail:
+     * `{node, oldParent, parent, index}`
+     * - 'sorted': A node's children were sorted with `sortChildren`. Detail:
+     * `{parent, children}`
+     * - 'flag-changed': A node's `isExhausted`, `isTerminal` or `isSelectable`
+     * flag was changed. Detail: `{node, flag, value, oldValue}`
+     * - 'reconciled': The graph was updated to match a new set of items with
+     * `reconcile`. Detail: `{added, removed, updated}`, see `reconcile`
+     * - 'updated': A node's fields were changed with `updateNode`. Detail:
+     * `{node, changes}`, see `updateNode`
+     * - 'expanded-changed': A node was expanded or collapsed with
+     * `setExpanded`. Detail: `{node, expanded}`
+     *
+     * A `parent` or `node` of null is the root of the graph.
+     *
+     * @param  {string} type
+     * @param  {Function} callback
+     * @return {Function} unsubscribes the callback
+     */
+    on(type: string, callback: Function): () => void {
+      if (typeof callback !== 'function') {
+        throw new Error('A callback function is required.');
+      }
+      (this._listeners[type] || (this._listeners[type] = [])).push(callback);
+      return () => this.off(type, callback);
+    }
+
+    /**
+     * Unsubscribes a callback subscribed with `on`.
+     *
+     * @param  {string} type
+     * @param  {Function} callback
+     */
+    off(type: string, callback: Function) {
+      const listeners = this._listeners[type];
+      if (listeners && listeners.indexOf(callback) > -1) {
+        // Copy the array so callbacks unsubscribing while an event is being
+        // emitted don't change the list being iterated
+        this._listeners[type] = listeners.filter(l => l !== callback);
+      }
+    }
+
+    _emit(type: string, detail: Object) {
+      const listeners = this._listeners[type];
+      if (!listeners) {
+        return;
+      }
+      for (let i=0; i<listeners.length; i++) {
+        listeners[i].call(this, Object.assign({ type }, detail));
+      }
+    }
+
+    _setFlag(node: Object, flag: 'isExhausted' | 'isTerminal' | 'isSelectable', value: boolean) {
+      const info = this._node(node);
+      const oldValue = info[flag];
+      info[flag] = value;
+      if (oldValue !== value) {
+        this._emit('flag-changed', {
+          node: (node === this._rootNode) ? null : node,
+          flag: flag,
+          value: value,
+          oldValue: oldValue
+        });
+      }
+    }
+
+    _node(object: Object): { isExhausted: boolean | null, isTerminal: boolean | null, isSelectable: boolean | null } {
+      const node = this._data.get(object);
+
+      if (node) {
+        return node;
+      }
+      else {
+        const data = { isExhausted: null, isTerminal: null, isSelectable: null };
+        this._data.set(object, data);
+        return data;
+      }
+    }
+
+    _getKey(key: 'id' | 'label' | 'children', val?: string) {
+      return (val && typeof val === 'string' && val.length) ? val : this._defaultKeys[key];
+    }
+
+    _indexNode(node: Object) {
+      const id = node[this._defaultKeys.id];
+      if (id === undefined || id === null || id === '') {
+        return;
+      }
+      const nodes = this._index.get(id);
+      if (!nodes) {
+        this._index.set(id, [node]);
+      }
+      else if (nodes.indexOf(node) === -1) {
+        nodes.push(node);
+      }
+    }
+
+    _unindexNode(node: Object) {
+      const id = node[this._defaultKeys.id];
+      const nodes = this._index.get(id);
+      if (!nodes) {
+        return;
+      }
+      const i = nodes.indexOf(node);
+      if (i > -1) {
+        nodes.splice(i, 1);
+      }
+      if (!nodes.length) {
+        this._index.delete(id);
+      }
+    }
+
+    /* Returns the first place the node appears in the graph, the root
+       placement if `node` is null, or null if the node is not in the graph */
+    _placementOf(node: Object | null): Object | null {
+      if (node === null) {
+        return this._rootNode;
+      }
+      const placements = this._placements.get(node);
+      return (placements && placements.length) ? placements[0] : null;
+    }
+
+    /* Returns every place the node appears in the graph */
+    _placementsOf(node: Object | null): Array<Object> {
+      if (node === null) {
+        return [this._rootNode];
+      }
+      return this._placements.get(node) || [];
+    }
+
+    _toItems(placements: Array<Object>): Array<Object> {
+      const items = [];
+      for (let i=0; i<placements.length; i++) {
+        items.push(placements[i].item);
+      }
+      return items;
+    }
+
+    _pathOf(placement: Object): Array<Object> {
+      // reverse so its root->node, slice to remove the virtual root node
+      return this._toItems(this._tree.ancestorsToArray(placement).reverse().slice(1));
+    }
+
+    /* Adds a new placement for `item` to `parent` (a placement) before `ref`,
+       or at the end if `ref` is null. If the item is already in the graph,
+       its children are placed under the new placement as well. */
+    _placeChild(parent: Object, item: Object, ref: Object | null): Object {
+      const placement = { item };
+      if (ref) {
+        this._tree.insertBefore(ref, placement);
+      }
+      else {
+        this._tree.appendChild(parent, placement);
+      }
+
+      const placements = this._placements.get(item);
+      if (!placements) {
+        this._placements.set(item, [placement]);
+        return placement;
+      }
+      const source = placements[0];
+      placements.push(placement);
+      const children = this._tree.childrenToArray(source);
+      for (let i=0; i<children.length; i++) {
+        this._placeChild(placement, children[i].item, null);
+      }
+      return placement;
+    }
+
+    /* Removes a placement and everything below it from the tree. Items left
+       without any placements are removed from the graph and added to
+       `removed`. */
+    _removePlacement(placement: Object, removed: Array<Object>) {
+      for (let descendant of this._tree.treeIterator(placement)) {
+        const placements = this._placements.get(descendant.item);
+        if (!placements) {
+          continue;
+        }
+        placements.splice(placements.indexOf(descendant), 1);
+        if (!placements.length) {
+          this._placements.delete(descendant.item);
+          this._unindexNode(descendant.item);
+          this._forgetNode(descendant.item);
+          removed.push(descendant.item);
+        }
+      }
+      if (this._tree.parent(placement)) {
+        this._tree.remove(placement);
+      }
+    }
+
+    /* Drops the flags and cached aggregates kept for an item that was removed
+       from the graph */
+    _forgetNode(item: Object) {
+      this._data.delete(item);
+      this._descendantCounts.delete(item);
+      this._expanded.delete(item);
+      const names = Object.keys(this._aggregates);
+      for (let i=0; i<names.length; i++) {
+        this._aggregates[names[i]].cache.delete(item);
+      }
+    }
+
+    /* Checks if `node` is `other` or one of the ancestors of any placement of
+       `other`. Moving or adding `node` under `other` would create a cycle. */
+    _isAncestorOrSelf(node: Object, other: Object | null): boolean {
+      if (other === null) {
+        return false;
+      }
+      if (node === other) {
+        return true;
+      }
+      const placements = this._placementsOf(other);
+      for (let i=0; i<placements.length; i++) {
+        if (this._toItems(this._tree.ancestorsToArray(placements[i])).indexOf(node) > -1) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    /**
+     * Checks if the node is in the graph.
+     *
+     * @param  {Object} node
+     * @return {boolean}
+     */
+    hasNode(node: Object): boolean {
+      if (node && this._placements.has(node)) {
+        return true;
+      }
+      return false;
+    }
+
+    /**
+     * Returns information about the node. If the node appears in more than
+     * one place in the graph, the information is about the first place it
+     * was added. Use `getInfoAtRoute` to get the information about a specific
+     * place. Returns null if the node is not in the graph.
+     *
+     * Along with the node's relatives and flags, the information includes
+     * where the node sits in the graph, for indentation and accessibility
+     * attributes like `aria-level` and `aria-posinset`:
+     *
+     * - {number} `depth`: 0 for nodes at the root, 1 for their children, etc.
+     * - {number} `index`: The node's position among its siblings
+     * - {number} `siblingCount`: The number of siblings, including the node
+     * - {number} `descendantCount`: The number of nodes below the node. A node
+     * that appears more than once below it is counted each time.
+     * - {boolean} `isLeaf`: True if the node has no children in the graph. Use
+     * `isTerminal` to check if it may still have children loaded.
+     *
+     * Descendant counts are cached and only re-computed for the ancestors of
+     * the nodes that change.
+     *
+     * @param  {Object} node
+     * @param  {string} routeKey
+     * @return {Object|null}
+     */
+    getInfo(node: Object, routeKey?: string): AssetNodeInfo | null {
+      const placement = node ? this._placementOf(node) : null;
+      return placement ? this._getPlacementInfo(placement, routeKey) : null;
+    }
+
+    /**
+     * Returns the same information as `getInfo` about the node at the
+     * requested route. In graphs that allow multiple parents, the `path`,
+     * `parent` and `siblings` describe the place in the graph the route
+     * leads to. Returns null if there is no node at the route.
+     *
+     * @param  {Array<string>} route
+     * @param  {string} routeKey
+     * @return {Object|null}
+     */
+    getInfoAtRoute(route: Array<string>, routeKey?: string): AssetNodeInfo | null {
+      const placement = this._placementAtRoute(route, routeKey);
+      return placement ? this._getPlacementInfo(placement, routeKey) : null;
+    }
+
+    _getPlacementInfo(placement: Object, routeKey?: string): AssetNodeInfo {
+      const node = placement.item;
+      const _routeKey = this._getKey('id', routeKey);
+      const path = this._pathOf(placement);
+      const route = AssetGraph.pathToRoute(path, _routeKey);
+      const parentPlacement = this._tree.parent(placement);
+      const parent = parentPlacement.item;
+      const siblings = this._toItems(this._tree.childrenToArray(parentPlacement));
+      const children = this._toItems(this._tree.childrenToArray(placement));
+      const hasChildren = children.length > 0;
+      const isTerminal = this.isTerminal(node);
+      const isExhausted = this.isExhausted(node);
+      const isSelectable = this.isSelectable(node);
+
+      return {
+        item: node,
+        path: path,
+        route: route,
+        parent: parent,
+        siblings: siblings,
+        children: children,
+        hasChildren: hasChildren,
+        isTerminal: isTerminal,
+        isExhausted: isExhausted,
+        isSelectable: isSelectable,
+        depth: path.length - 1,
+        index: this._tree.index(placement),
+        siblingCount: siblings.length,
+        descendantCount: this._countDescendants(node),
+        isLeaf: !hasChildren
+      };
+    }
+
+    _countDescendants(node: Object | null): number {
+      const key = (node === null) ? this._rootNode : node;
+      const cached = this._descendantCounts.get(key);
+      if (typeof cached === 'number') {
+        return cached;
+      }
+      const children = this.getChildren(node) || [];
+      let count = 0;
+      for (let i=0; i<children.length; i++) {
+        count += 1 + this._countDescendants(children[i]);
+      }
+      this._descendantCounts.set(key, count);
+      return count;
+    }
+
+    /**
+     * Returns a reference to the node's parent. If the node has no parent or is
+     * not in the graph, returns null. If the node has more than one parent,
+     * returns the parent it was added to first (see `getParents`).
+     *
+     * @param  {Object} node
+     * @return {Object|null}
+     */
+    getParent(node: Object | null): Object | null {
+      const placement = node ? this._placementOf(node) : null;
+      if (placement) {
+        return this._tree.parent(placement).item;
+      }
+      return null;
+    }
+
+    /**
+     * Returns every parent of the node, in the order the node was added to
+     * them. A parent of null is the root of the graph. Unless the graph
+     * allows multiple parents, the array will only have one entry. Returns
+     * null if the node is not in the graph.
+     *
+     * @param  {Object} node
+     * @return {Array<Object|null>|null}
+     */
+    getParents(node: Object | null): Array<Object | null> | null {
+      if (!node || !this.hasNode(node)) {
+        return null;
+      }
+      const parents = [];
+      const placements = this._placementsOf(node);
+      for (let i=0; i<placements.length; i++) {
+        const parent = this._tree.parent(placements[i]).item;
+        if (parents.indexOf(parent) === -1) {
+          parents.push(parent);
+        }
+      }
+      return parents;
+    }
+
+    /**
+     * This method returns whether or not the passed in item as any siblings.
+     * @param {Object} node
+     */
+    hasSiblings(node) {
+      var siblings = this.getSiblings(node);
+      return siblings && siblings.length > 1;
+    }
+
+    /**
+     * Returns a reference to the node's siblings (the children of its parent).
+     * The returned array includes the node.
+     *
+     * @param  {Object} node
+     * @return {Array<Object>|null}
+     */
+    getSiblings(node: Object | null): Array<Object> | null {
+      const placement = node ? this._placementOf(node) : null;
+      if (placement) {
+        return this._toItems(this._tree.childrenToArray(this._tree.parent(placement)));
+      }
+      return null;
+    }
+
+    /**
+     * Returns an array of ancestor nodes from the root of the graph to the requested
+     * node. The returned array includes the node. If the node has more than
+     * one parent, returns the path to the first place it was added (see
+     * `getPaths`).
+     *
+     * @param  {Object} node
+     * @return {Array<Object>|null}
+     */
+    getPath(node: Object | null): Array<Object> | null {
+      const placement = node ? this._placementOf(node) : null;
+      if (placement) {
+        return this._pathOf(placement);
+      }
+      return null;
+    }
+
+    /**
+     * Returns the path (see `getPath`) to every place the node appears in the
+     * graph, in the order the node was added to them. Unless the graph allows
+     * multiple parents, the array will only have one path.
+     *
+     * @param  {Object} node
+     * @return {Array<Array<Object>>|null}
+     */
+    getPaths(node: Object | null): Array<Array<Object>> | null {
+      if (!node || !this.hasNode(node)) {
+        return null;
+      }
+      return this._placementsOf(node).map(placement => this._pathOf(placement));
+    }
+
+    /**
+     * Returns an array of unique IDs for each ancestor of the requested node
+     * starting at the root of the graph and ending with the requested node.
+     * If the node has more than one parent, returns the route to the first
+     * place it was added (see `getRoutes`).
+     *
+     * @param  {Object} node
+     * @return {Array<string>|null}
+     */
+    getRoute(node: Object | null, routeKey?: string): Array<string|null> | null {
+      const ancestors = this.getPath(node);
+      return ancestors ? AssetGraph.pathToRoute(ancestors, this._getKey('id', routeKey)) : null;
+    }
+
+    /**
+     * Returns the route (see `getRoute`) to every place the node appears in
+     * the graph, in the order the node was added to them.
+     *
+     * @param  {Object} node
+     * @param  {string} routeKey
+     * @return {Array<Array<string>>|null}
+     */
+    getRoutes(node: Object | null, routeKey?: string): Array<Array<string|null>> | null {
+      const paths = this.getPaths(node);
+      const _routeKey = this._getKey('id', routeKey);
+      return paths ? paths.map(path => AssetGraph.pathToRoute(path, _routeKey)) : null;
+    }
+
+    getNodeAtRoute(route: Array<string>, routeKey?: string): Object | null {
+      const placement = this._placementAtRoute(route, routeKey);
+      return placement ? placement.item : null;
+    }
+
+    _placementAtRoute(route: Array<string>, routeKey?: string): Object | null {
+      if (typeof route !== 'object' || !Array.isArray(route) || !route.length) {
+        throw new Error('An array of route strings is required.');
+      }
+
+      const _routeKey = typeof routeKey === 'string' && routeKey.length ? routeKey : this._defaultKeys.id;
+      if (_routeKey === this._defaultKeys.id) {
+        // Look up the last ID in the index and check its ancestors match the
+        // rest of the route instead of walking down from the root
+        const candidates = this._index.get(route[route.length-1]) || [];
+        for (let i=0; i<candidates.length; i++) {
+          const placements = this._placementsOf(candidates[i]);
+          for (let j=0; j<placements.length; j++) {
+            const path = this._pathOf(placements[j]);
+            if (path.length === route.length && path.every((p, k) => p[_routeKey] === route[k])) {
+              return placements[j];
+            }
+          }
+        }
+        return null;
+      }
+
+      let searchRoute = route.slice(0);
+      let placements = this._tree.childrenToArray(this._rootNode);
+      let foundPlacement = null;
+
+      while (!foundPlacement && placements.length > 0 && searchRoute.length > 0) {
+        let placement = placements.shift();
+        if (placement.item[_routeKey] === searchRoute[0] && this._tree.childrenCount(placement) > 0 && searchRoute.length !== 1) {
+          searchRoute.shift();
+          placements = this._tree.childrenToArray(placement);
+          continue;
+        }
+        if (placement.item[_routeKey] === searchRoute[0] && searchRoute.length === 1) {
+          foundPlacement = placement;
+          break;
+        }
+      }
+
+      return foundPlacement;
+    }
+
+    /**
+     * Returns the node with the requested ID. IDs are read from the `id` key
+     * the graph was created with. If more than one node shares the same ID,
+     * the node that was added to the graph first is returned.
+     *
+     * @param  {string} id
+     * @return {Object|null}
+     */
+    getNodeById(id: string | number): Object | null {
+      const nodes = this._index.get(id);
+      return nodes && nodes.length ? nodes[0] : null;
+    }
+
+    /**
+     * Returns the route to the node with the requested ID. See `getNodeById`
+     * and `getRoute` for details.
+     *
+     * @param  {string} id
+     * @param  {string} routeKey
+     * @return {Array<string>|null}
+     */
+    getRouteById(id: string | number, routeKey?: string): Array<string|null> | null {
+      return this.getRoute(this.getNodeById(id), routeKey);
+    }
+
+    /**
+     * Returns a reference to the requested node's children. The returned array
+     * will be empty if no children are defined.
+     *
+     * @param  {Object} node
+     * @return {Array<Object>|null}
+     */
+    getChildren(node: Object | null): Array<Object> | null {
+      const placement = this._placementOf(node);
+      if (placement) {
+        return this._toItems(this._tree.childrenToArray(placement));
+      }
+      return null;
+    }
+
+    /**
+     * Returns a reference to the root node's children. The returned array will
+     * be empty if no children are defined.
+     *
+     * @return {Array<Object>|null}
+     */
+    getRootChildren(): Array<Object> | null {
+      return this.getChildren(null);
+    }
+
+    /**
+     * Checks if the node has any children.
+     *
+     * @param  {Object} node
+     * @return {boolean|null}
+     */
+    hasChildren(node: Object | null): boolean | null {
+      const placement = this._placementOf(node);
+      if (placement) {
+        return this._tree.childrenCount(placement) > 0;
+      }
+      return null;
+    }
+
+    /**
+     * Returns the number of ancestors between the node and the root of the
+     * graph. Nodes at the top of the graph have a depth of 0. If the node is
+     * not in the graph, returns null. If the node has more than one parent,
+     * returns the depth of the first place it was added.
+     *
+     * @param  {Object} node
+     * @return {number|null}
+     */
+    getDepth(node: Object | null): number | null {
+      const placement = node ? this._placementOf(node) : null;
+      if (placement) {
+        return this._tree.ancestorsToArray(placement).length - 2;
+      }
+      return null;
+    }
+
+    /**
+     * Returns an iterator that walks every descendant of the requested node
+     * depth-first, in the same order the nodes would appear in an expanded
+     * tree. The node itself is not included. If `node` is null, walks the
+     * whole graph.
+     *
+     * In graphs that allow multiple parents, a node is visited once for each
+     * place it appears under the requested node.
+     *
+     *     for (let node of graph.depthFirstIterator(null)) { ... }
+     *
+     * @param  {Object|null} node
+     * @return {Iterator<Object>}
+     */
+    *depthFirstIterator(node: Object | null): Generator<Object, void, void> {
+      const placement = this._placementOf(node);
+      if (!placement) {
+        return;
+      }
+      for (let descendant of this._tree.treeIterator(placement)) {
+        if (descendant !== placement) {
+          yield descendant.item;
+        }
+      }
+    }
+
+    /**
+     * Returns an iterator that walks every descendant of the requested node
+     * breadth-first, visiting all the nodes at one depth before moving on to
+     * the next. The node itself is not included. If `node` is null, walks the
+     * whole graph.
+     *
+     * In graphs that allow multiple parents, a node is visited once for each
+     * place it appears under the requested node.
+     *
+     * @param  {Object|null} node
+     * @return {Iterator<Object>}
+     */
+    *breadthFirstIterator(node: Object | null): Generator<Object, void, void> {
+      const placement = this._placementOf(node);
+      if (!placement) {
+        return;
+      }
+      const queue = this._tree.childrenToArray(placement);
+      while (queue.length) {
+        const next = queue.shift();
+        yield next.item;
+        this._tree.childrenToArray(next, { array: queue });
+      }
+    }
+
+    /* Walks the descendants of the node depth-first, visiting each node only
+       once even if it appears in more than one place */
+    *_uniqueDescendants(node: Object | null): Generator<Object, void, void> {
+      const seen = new Set();
+      for (let descendant of this.depthFirstIterator(node)) {
+        if (!seen.has(descendant)) {
+          seen.add(descendant);
+          yield descendant;
+        }
+      }
+    }
+
+    /**
+     * Returns an array of every descendant of the requested node in
+     * depth-first order. The node itself is not included. If `node` is null,
+     * returns every node in the graph. Each node is only included once, even
+     * if it appears in more than one place.
+     *
+     * @param  {Object|null} node
+     * @return {Array<Object>|null}
+     */
+    getDescendants(node: Object | null): Array<Object> | null {
+      if (this._placementOf(node)) {
+        return Array.from(this._uniqueDescendants(node));
+      }
+      return null;
+    }
+
+    /**
+     * Returns the first node that `predicate` returns true for, searching
+     * depth-first. Pass a `node` to only search that node's descendants,
+     * otherwise the whole graph is searched. Returns null if no node matches.
+     *
+     * @param  {Function} predicate - Called with each node
+     * @param  {Object|null} node
+     * @return {Object|null}
+     */
+    find(predicate: (node: Object) => boolean, node?: Object | null): Object | null {
+      for (let descendant of this._uniqueDescendants(node || null)) {
+        if (predicate(descendant)) {
+          return descendant;
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Returns an array of every node that `predicate` returns true for, in
+     * depth-first order. Pass a `node` to only search that node's descendants,
+     * otherwise the whole graph is searched.
+     *
+     * @param  {Function} predicate - Called with each node
+     * @param  {Object|null} node
+     * @return {Array<Object>}
+     */
+    filter(predicate: (node: Object) => boolean, node?: Object | null): Array<Object> {
+      const matches = [];
+      for (let descendant of this._uniqueDescendants(node || null)) {
+        if (predicate(descendant)) {
+          matches.push(descendant);
+        }
+      }
+      return matches;
+    }
+
+    /**
+     * Searches the labels of the nodes in the graph for the query text and
+     * returns the matches ranked from best to worst. Matching is not case
+     * sensitive. Labels that start with the query rank above labels that
+     * contain it, which rank above labels that only contain the letters of
+     * the query in order (a "fuzzy" match). Within each kind of match, closer
+     * matches rank higher. Matches with the same rank are returned in
+     * depth-first order.
+     *
+     * Each result contains the same information as `getInfo` plus:
+     *
+     * - {string} `match`: 'prefix', 'substring' or 'fuzzy'
+     * - {number} `score`: The rank of the match, higher is better
+     *
+     * The following options can be passed:
+     *
+     * - {Object} `node`: Only search the descendants of this node
+     * - {number} `limit`: The maximum number of results to return
+     * - {string} `labelKey`: The key to read the label from, defaults to the
+     * label key the graph was created with
+     * - {string} `routeKey`: The key used to build each result's route
+     *
+     * @param  {string} query
+     * @param  {Object} options
+     * @return {Array<Object>}
+     */
+    search(query: string, options?: { node?: Object | null, limit?: number, labelKey?: string, routeKey?: string }): Array<AssetSearchResult> {
+      const _options = options || {};
+      const _query = (typeof query === 'string') ? query.trim().toLowerCase() : '';
+      if (!_query.length) {
+        return [];
+      }
+
+      const labelKey = this._getKey('label', _options.labelKey);
+      const matches = [];
+      for (let node of this._uniqueDescendants(_options.node || null)) {
+        const label = node[labelKey];
+        if (typeof label !== 'string' || !label.length) {
+          continue;
+        }
+        const match = AssetGraph.matchLabel(_query, label.toLowerCase());
+        if (match) {
+          matches.push({ node, match: match.match, score: match.score, order: matches.length });
+        }
+      }
+
+      matches.sort((a, b) => (b.score - a.score) || (a.order - b.order));
+      const limited = (typeof _options.limit === 'number') ? matches.slice(0, _options.limit) : matches;
+      return limited.map(m => Object.assign({}, this.getInfo(m.node, _options.routeKey), { match: m.match, score: m.score }));
+    }
+
+    /**
+     * Creates a read-only view of the graph that only includes the nodes
+     * `predicate` returns true for, plus their ancestors so the routes to
+     * them stay valid. The view has the same `getChildren`, `getPath`,
+     * `getRoute` and `getNodeAtRoute` methods as the graph (see
+     * `AssetGraphView`) and updates itself when the graph changes.
+     *
+     *     const favorites = graph.createView(node => favorited.indexOf(node) > -1);
+     *
+     * Call `destroy()` on the view when it is no longer needed.
+     *
+     * @param  {Function} predicate - Called with each node
+     * @return {AssetGraphView}
+     */
+    createView(predicate: (node: Object) => boolean): AssetGraphView {
+      return new AssetGraphView(this, predicate);
+    }
+
+    /**
+     * Registers an aggregate that rolls a value up from each node's
+     * descendants, e.g. the number of alarms on all the assets of a site.
+     * Read the results with `getAggregate`. Registering an aggregate with the
+     * name of an existing one replaces it.
+     *
+     * The following options can be passed:
+     *
+     * - {string|Function} `field`: The key to read each node's value from,
+     * or a function called with the node that returns its value. If not set,
+     * every node has the value `true` (useful with 'count').
+     * - {string|Function} `reducer`: How values are combined, one of:
+     *   - 'sum': The sum of the numeric values
+     *   - 'max' / 'min': The largest / smallest numeric value, or null
+     *   - 'count': The number of nodes with a value that is not undefined,
+     *   null or false
+     *   - A function called with the node's own value and an array of the
+     *   results for each of its children, which returns the node's result
+     *
+     * The result for a node includes the node's own value and the values of
+     * all its descendants. The result for null (the root of the graph)
+     * includes every node. Results are cached and only re-computed for the
+     * ancestors of the nodes that change when children are added, removed or
+     * moved. If node values are changed by hand, call `refreshAggregates`.
+     *
+     * @param  {string} name
+     * @param  {Object} options
+     */
+    addAggregate(name: string, options: { field?: string | (node: Object) => any, reducer: string | (value: any, childResults: Array<any>) => any }) {
+      if (typeof name !== 'string' || !name.length) {
+        throw new Error('A name for the aggregate is required.');
+      }
+      const _options = options || {};
+      const reduce = (typeof _options.reducer === 'function') ? _options.reducer : AssetGraph.reducers[_options.reducer];
+      if (typeof reduce !== 'function') {
+        throw new Error(`The reducer must be a function or one of: ${Object.keys(AssetGraph.reducers).join(', ')}.`);
+      }
+      const field = _options.field;
+      let value;
+      if (typeof field === 'function') {
+        value = field;
+      }
+      else if (typeof field === 'string' && field.length) {
+        value = (node: Object) => node[field];
+      }
+      else {
+        value = () => true;
+      }
+      this._aggregates[name] = { value, reduce, cache: new WeakMap() };
+    }
+
+    /**
+     * Removes an aggregate registered with `addAggregate`.
+     *
+     * @param  {string} name
+     */
+    removeAggregate(name: string) {
+      delete this._aggregates[name];
+    }
+
+    /**
+     * Returns the result of the aggregate for the node and all its
+     * descendants. If `node` is null, returns the result for the whole graph.
+     * Returns null if the node is not in the graph.
+     *
+     * @param  {Object|null} node
+     * @param  {string} name
+     * @return {*}
+     */
+    getAggregate(node: Object | null, name: string): any {
+      const aggregate = this._aggregates[name];
+      if (!aggregate) {
+        throw new Error(`No aggregate named "${name}" has been added.`);
+      }
+      if (node !== null && !this.hasNode(node)) {
+        return null;
+      }
+      return this._computeAggregate(aggregate, node);
+    }
+
+    _computeAggregate(aggregate: AssetAggregate, node: Object | null): any {
+      const key = (node === null) ? this._rootNode : node;
+      if (aggregate.cache.has(key)) {
+        return aggregate.cache.get(key);
+      }
+      const children = this.getChildren(node) || [];
+      const childResults = children.map(child => this._computeAggregate(aggregate, child));
+      const result = aggregate.reduce((node === null) ? undefined : aggregate.value(node), childResults);
+      aggregate.cache.set(key, result);
+      return result;
+    }
+
+    /**
+     * Clears the cached aggregate results for the node and its ancestors, so
+     * they are re-computed the next time they are read. Call this after
+     * changing the values of a node by hand. If `node` is not passed, every
+     * cached result is cleared.
+     *
+     * The descendant counts returned by `getInfo` are cleared as well.
+     *
+     * @param  {Object|null} node
+     */
+    refreshAggregates(node?: Object | null) {
+      const names = Object.keys(this._aggregates);
+      if (node === undefined) {
+        this._descendantCounts = new WeakMap();
+        names.forEach(name => {
+          this._aggregates[name].cache = new WeakMap();
+        });
+        return;
+      }
+      const stale = [this._rootNode];
+      const placements = (node === null) ? [] : this._placementsOf(node);
+      for (let i=0; i<placements.length; i++) {
+        const ancestors = this._tree.ancestorsToArray(placements[i]);
+        for (let j=0; j<ancestors.length; j++) {
+          stale.push(ancestors[j].item || this._rootNode);
+        }
+      }
+      stale.forEach(n => this._descendantCounts.delete(n));
+      names.forEach(name => {
+        const cache = this._aggregates[name].cache;
+        stale.forEach(n => cache.delete(n));
+      });
+    }
+
+    /**
+     * Adds a child or children to the requested node. Can pass a single object
+     * to add one child, or an array of objects to add multiple children.
+     * If `node` is null, the child object(s) will be added to the root of the graph.
+     *
+     * If the graph allows multiple parents, a child that is already in the
+     * graph is added in another place, keeping its children. Otherwise adding
+     * a node that is already in the graph throws an error.
+     *
+     * @param  {Object|null} node
+     * @param  {Object|Array<Object>} children
+     * @return {Array<Object>|undefined} the updated child array of the node
+     */
+    addChildren(node: Object | null, children: Object | Array<Object>, options?: { isExhausted?: boolean, isSelectable?: boolean, recursive?: boolean,
+    childrenKey?: string }): Array<Object> | null {
+      return this.insertChildren(node, children, null, options);
+    }
+
+    /**
+     * Inserts a child or children into the requested node's children at
+     * `index`. The first inserted child will be at `index` and the rest will
+     * follow it in order. If `index` is null or past the end of the node's
+     * children, the children are added to the end. Accepts the same options
+     * as `addChildren`.
+     *
+     * @param  {Object|null} node
+     * @param  {Object|Array<Object>} children
+     * @param  {number|null} index
+     * @return {Array<Object>|undefined} the updated child array of the node
+     */
+    insertChildren(node: Object | null, children: Object | Array<Object>, index: number | null, options?: { isExhausted?: boolean, isSelectable?: boolean, recursive?: boolean,
+    childrenKey?: string }): Array<Object> | null {
+      if (typeof children !== 'object' || (Array.isArray(children) && !children.length)) {
+        throw new Error('A child object or array of child objects is required.');
+      }
+
+      if (node !== null && typeof node === 'object' && !this.hasNode(node)) {
+        throw new Error('The parent node must be a node in the graph or null.')
+      }
+
+      const parent = (node !== null) ? node : this._rootNode;
+      const childArray = Array.isArray(children) ? children : [children];
+      const childKey = (typeof options === 'object' && typeof options.childrenKey === 'string' && options.childrenKey.length)
+        ? options.childrenKey : this._defaultKeys.children;
+      const isRecursive = (typeof options === 'object' && typeof options.recursive === 'boolean')
+        ? options.recursive : false;
+      // Nodes added by recursive calls are collected in the outermost call's
+      // batch so listeners are only notified once
+      const isOuterCall = (this._addedBatch === null);
+      const batch = this._addedBatch = this._addedBatch || [];
+      try {
+        this._insertChildArray(node, childArray, index, isRecursive, childKey, batch);
+      } finally {
+        if (isOuterCall) {
+          this._addedBatch = null;
+        }
+      }
+
+      if (typeof options === 'object' && typeof options.isExhausted === 'boolean') {
+        this._setFlag(parent, 'isExhausted', options.isExhausted);
+      }
+
+      if (typeof options === 'object' && typeof options.isSelectable === 'boolean') {
+        this._setFlag(parent, 'isSelectable', options.isSelectable);
+      }
+
+      this.refreshAggregates(node);
+      this._updateRows(node);
+      if (isOuterCall) {
+        this._emit('added', { parent: node, children: childArray, nodes: batch });
+      }
+
+      return this.getChildren(node);
+    }
+
+    _insertChildArray(node: Object | null, childArray: Array<Object>, index: number | null, isRecursive: boolean, childKey: string, batch: Array<Object>) {
+      const parents = this._placementsOf(node);
+      // The existing child of each placement of the node the new children
+      // will be inserted before, or null to add them to the end
+      const refs = parents.map(parent => (typeof index === 'number') ? (this._tree.childrenToArray(parent)[Math.max(index, 0)] || null) : null);
+      for (let i=0; i<childArray.length; i++) {
+        const child = childArray[i];
+        const isNew = !this.hasNode(child);
+        if (!isNew && !this._allowMultipleParents) {
+          throw new Error('The node is already in the graph. Remove it before adding it again, or create the graph with `allowMultipleParents` to add it under more than one parent.');
+        }
+        if (!isNew && (this._isAncestorOrSelf(child, node) || (this.getParents(child) || []).indexOf(node) > -1)) {
+          throw new Error('A node cannot be added to itself, one of its descendants or a parent it is already a child of.');
+        }
+
+        if (isNew) {
+          const info = this._node(child);
+          info.isTerminal = child.hasOwnProperty('isTerminal') ? child.isTerminal : null;
+          info.isExhausted = child.hasOwnProperty('isExhausted') ? child.isExhausted : null;
+          info.isSelectable = child.hasOwnProperty('isSelectable') ? child.isSelectable : null;
+        }
+        for (let j=0; j<parents.length; j++) {
+          this._placeChild(parents[j], child, refs[j]);
+        }
+        if (!isNew) {
+          continue;
+        }
+        this._indexNode(child);
+        batch.push(child);
+        if (isRecursive && typeof child[childKey] === 'object' && Array.isArray(child[childKey]) && child[childKey].length) {
+          this._insertChildArray(child, child[childKey], null, true, childKey, batch);
+        }
+      }
+    }
+
+    /**
+     * Removes a child or children from the requested node. Can pass a single object
+     * by reference to remove one child, or an array of objects by reference to
+     * remove multiple children. If `node` is null, the child object(s) will be
+     * removed from the root of the graph.
+     *
+     * The descendants of the children are removed with them, and their flags
+     * and cached aggregates are dropped.
+     *
+     * If the graph allows multiple parents, the children are only removed
+     * from `node`. Children (and descendants) that are still in other places
+     * in the graph are kept.
+     *
+     * @param  {Object|null} node
+     * @param  {Object|Array<Object>} children
+     * @return {Array<Object>|undefined} every node that was removed from the graph, including descendants
+     */
+    removeChildren(node: Object | null, children?: Object | Array<Object> | null, options?: { isExhausted: boolean }): Array<Object> | typeof undefined {
+      if (typeof children !== 'object' || (Array.isArray(children) && !children.length)) {
+        throw new Error('A child object or array of child objects is required.');
+      }
+
+      if (node !== null && typeof node === 'object' && !this.hasNode(node)) {
+        throw new Error('The parent node must be a node in the graph or null.')
+      }
+
+      let childArray: Array<Object> | null;
+      if (children === null) {
+        childArray = this.getChildren(node);
+      }
+      else if (Array.isArray(children)) {
+        childArray = children;
+      }
+      else {
+        childArray = [children];
+      }
+      if (!childArray) {
+        /* Can't figure out how to get the children to remove, give up */
+        return;
+      }
+      const removed = [];
+      const placements = this._findRemovals(node, childArray).placements;
+      for (let i=0; i<placements.length; i++) {
+        this._removePlacement(placements[i], removed);
+      }
+
+      this.refreshAggregates(node);
+      this._updateRows(node);
+      this._emit('removed', { parent: node, children: childArray, nodes: removed });
+      return removed;
+    }
+
+    /* Finds the placements of the children under each placement of `node`,
+       and the items that would be removed from the graph with them because
+       they have no other placements. Nothing is changed. */
+    _findRemovals(node: Object | null, childArray: Array<Object>): { placements: Array<Object>, items: Array<Object> } {
+      const parents = this._placementsOf(node);
+      const placements = [];
+      const lostCounts: Map<Object, number> = new Map();
+      for (let i=0; i<childArray.length; i++) {
+        const child = childArray[i];
+        if (!this.hasNode(child)) {
+          throw new Error('Child node(s) cannot be removed from the graph if it they were never added');
+        }
+        if ((this.getParents(child) || []).indexOf(node) === -1) {
+          throw new Error('Child node(s) passed to "removeChildren" method must be children of the given parent');
+        }
+        for (let j=0; j<parents.length; j++) {
+          const placement = this._tree.childrenToArray(parents[j]).find(p => p.item === child);
+          if (!placement) {
+            continue;
+          }
+          placements.push(placement);
+          for (let descendant of this._tree.treeIterator(placement)) {
+            lostCounts.set(descendant.item, (lostCounts.get(descendant.item) || 0) + 1);
+          }
+        }
+      }
+      const items = [];
+      lostCounts.forEach((count, item) => {
+        if (count === (this._placements.get(item) || []).length) {
+          items.push(item);
+        }
+      });
+      return { placements, items };
+    }
+
+    /* Captures a node, its flags and its descendants so they can be added
+       back with `_restoreSnapshot` after the node is removed */
+    _takeSnapshot(node: Object): AssetSnapshot {
+      return {
+        item: node,
+        flags: Object.assign({}, this._node(node)),
+        children: (this.getChildren(node) || []).map(child => this._takeSnapshot(child))
+      };
+    }
+
+    /* Adds a node captured with `_takeSnapshot` back under `parent` at
+       `index`, restoring its flags and descendants */
+    _restoreSnapshot(parent: Object | null, snapshot: AssetSnapshot, index: number | null) {
+      const childKey = this._defaultKeys.children;
+      const batch = [];
+      const restore = (node, snap, i) => {
+        const isNew = !this.hasNode(snap.item);
+        this._insertChildArray(node, [snap.item], i, false, childKey, batch);
+        if (!isNew) {
+          // Still in the graph under another parent, so the descendants
+          // came along with it
+          return;
+        }
+        Object.assign(this._node(snap.item), snap.flags);
+        for (let j=0; j<snap.children.length; j++) {
+          restore(snap.item, snap.children[j], null);
+        }
+      };
+      restore(parent, snapshot, index);
+      this.refreshAggregates(parent);
+      this._updateRows(parent);
+      this._emit('added', { parent: parent, children: [snapshot.item], nodes: batch });
+    }
+
+    /**
+     * Updates the graph to match a new array of root items, keeping the parts
+     * of the graph that did not change. Each new item is matched to an item
+     * already in the graph that has the same ID, preferring one under the
+     * same parent, so items moved to another parent are kept. Matching items
+     * are replaced by the new item (keeping any flags the new item does not
+     * set), new items that don't match are added, and items that don't match
+     * any new item are removed with all their descendants.
+     *
+     * If a new item that matches an existing item doesn't have a children
+     * array, the existing item's children are kept.
+     *
+     * Graphs that allow multiple parents can't be reconciled.
+     *
+     * Returns an object with:
+     *
+     * - {Array} `added`: Every node that was added
+     * - {Array} `removed`: Every node that was removed
+     * - {Map} `updated`: Maps each existing node that was matched to the new
+     * node that replaced it (the same object if it was passed in again)
+     *
+     * @param  {Array<Object>} items
+     * @param  {Object} options
+     * @return {Object}
+     */
+    reconcile(items: Array<Object>, options?: { childrenKey?: string }): AssetGraphReconcileResult {
+      if (typeof items !== 'object' || !Array.isArray(items)) {
+        throw new Error('An array of items is required.');
+      }
+
+      if (this._allowMultipleParents) {
+        throw new Error('Graphs that allow multiple parents can\'t be reconciled.');
+      }
+
+      const childKey = (typeof options === 'object' && typeof options.childrenKey === 'string' && options.childrenKey.length)
+        ? options.childrenKey : this._defaultKeys.children;
+      const result = { added: [], removed: [], updated: new Map() };
+      const idKey = this._defaultKeys.id;
+
+      // Items are matched by ID across the whole tree, so an item that moved
+      // to another parent keeps its place in the graph. Every old placement
+      // is taken out of the tree first and put back where it is used.
+      const state = { unclaimed: new Map(), claimed: new Set(), oldParents: new Map(), oldChildren: new Map(), keepChildren: [] };
+      const oldPlacements = [];
+      for (let placement of this._tree.treeIterator(this._rootNode)) {
+        if (placement === this._rootNode) {
+          continue;
+        }
+        oldPlacements.push(placement);
+        state.oldParents.set(placement, this._tree.parent(placement));
+        state.oldChildren.set(placement, this._tree.childrenToArray(placement));
+        const matches = state.unclaimed.get(placement.item[idKey]);
+        if (matches) {
+          matches.push(placement);
+        } else {
+          state.unclaimed.set(placement.item[idKey], [placement]);
+        }
+      }
+      for (let i=0; i<oldPlacements.length; i++) {
+        this._tree.remove(oldPlacements[i]);
+      }
+
+      this._addedBatch = result.added;
+      try {
+        this._reconcileChildren(this._rootNode, items, childKey, result, state);
+        for (let i=0; i<state.keepChildren.length; i++) {
+          this._restoreChildren(state.keepChildren[i], state, result);
+        }
+      } finally {
+        this._addedBatch = null;
+      }
+
+      for (let i=0; i<oldPlacements.length; i++) {
+        const placement = oldPlacements[i];
+        if (!state.claimed.has(placement)) {
+          this._placements.delete(placement.item);
+          this._unindexNode(placement.item);
+          this._forgetNode(placement.item);
+          result.removed.push(placement.item);
+        }
+      }
+
+      this.refreshAggregates();
+      this._updateRows(null);
+      this._emit('reconciled', result);
+      return result;
+    }
+
+    _reconcileChildren(parent: Object, newChildren: Array<Object>, childKey: string, result: AssetGraphReconcileResult, state: AssetGraphReconcileState) {
+      const idKey = this._defaultKeys.id;
+      for (let i=0; i<newChildren.length; i++) {
+        const child = newChildren[i];
+        const placement = this._claimPlacement(child[idKey], parent, state);
+        if (!placement) {
+          this._insertChildArray(parent.item, [child], null, false, childKey, result.added);
+          if (Array.isArray(child[childKey])) {
+            this._reconcileChildren(this._placementsOf(child)[0], child[childKey], childKey, result, state);
+          }
+          continue;
+        }
+
+        // The new item takes over the old item's place in the tree
+        const old = placement.item;
+        if (old !== child) {
+          const oldInfo = this._node(old);
+          const info = this._node(child);
+          info.isTerminal = child.hasOwnProperty('isTerminal') ? child.isTerminal : oldInfo.isTerminal;
+          info.isExhausted = child.hasOwnProperty('isExhausted') ? child.isExhausted : oldInfo.isExhausted;
+          info.isSelectable = child.hasOwnProperty('isSelectable') ? child.isSelectable : oldInfo.isSelectable;
+          if (this._expanded.has(old)) {
+            this._expanded.add(child);
+          }
+          this._unindexNode(old);
+          this._forgetNode(old);
+          this._placements.delete(old);
+          this._placements.set(child, [placement]);
+          placement.item = child;
+        }
+        this._tree.appendChild(parent, placement);
+        this._indexNode(child);
+        result.updated.set(old, child);
+
+        if (Array.isArray(child[childKey])) {
+          this._reconcileChildren(placement, child[childKey], childKey, result, state);
+        }
+        else {
+          // The old children are put back once every new item has had a
+          // chance to claim them
+          state.keepChildren.push(placement);
+        }
+      }
+    }
+
+    /* Takes the old placement of the node with `id` out of `state` so it
+       can be reused. Prefers the placement that was under `parent`. */
+    _claimPlacement(id: any, parent: Object, state: AssetGraphReconcileState): Object | null {
+      const matches = state.unclaimed.get(id);
+      if (!matches || !matches.length) {
+        return null;
+      }
+      let i = matches.findIndex(placement => state.oldParents.get(placement) === parent);
+      if (i === -1) {
+        i = 0;
+      }
+      const placement = matches.splice(i, 1)[0];
+      state.claimed.add(placement);
+      return placement;
+    }
+
+    /* Puts back the old children of `placement` that were not claimed by
+       another new item, along with their descendants */
+    _restoreChildren(placement: Object, state: AssetGraphReconcileState, result: AssetGraphReconcileResult) {
+      const children = state.oldChildren.get(placement) || [];
+      for (let i=0; i<children.length; i++) {
+        const child = children[i];
+        if (state.claimed.has(child)) {
+          continue;
+        }
+        const matches = state.unclaimed.get(child.item[this._defaultKeys.id]) || [];
+        matches.splice(matches.indexOf(child), 1);
+        state.claimed.add(child);
+        this._tree.appendChild(placement, child);
+        this._restoreChildren(child, state, result);
+      }
+    }
+
+    /**
+     * Moves a node (and all its descendants) to a new position in the graph.
+     * The node is removed from its current parent and inserted into
+     * `newParent`'s children at `index`. The `index` is the position in
+     * `newParent`'s children after the node is removed. If `index` is null or
+     * past the end of the children, the node is added to the end. If
+     * `newParent` is null, the node will be moved to the root of the graph.
+     *
+     * If the graph allows multiple parents, pass `oldParent` to choose which
+     * parent the node is moved away from. Defaults to the parent the node was
+     * added to first. The node stays under any other parents.
+     *
+     * @param  {Object} node
+     * @param  {Object|null} newParent
+     * @param  {number|null} index
+     * @param  {Object|null} oldParent
+     * @return {Array<Object>|null} the updated child array of the new parent
+     */
+    moveNode(node: Object, newParent: Object | null, index?: number | null, oldParent?: Object | null): Array<Object> | null {
+      if (!node || !this.hasNode(node)) {
+        throw new Error('Only nodes in the graph can be moved.');
+      }
+
+      if (newParent !== null && typeof newParent === 'object' && !this.hasNode(newParent)) {
+        throw new Error('The parent node must be a node in the graph or null.')
+      }
+
+      if (this._isAncestorOrSelf(node, newParent)) {
+        throw new Error('A node cannot be moved into itself or one of its descendants.');
+      }
+
+      const parents = this.getParents(node) || [];
+      const _oldParent = (oldParent !== undefined) ? oldParent : parents[0];
+      if (parents.indexOf(_oldParent) === -1) {
+        throw new Error('The node is not a child of the old parent.');
+      }
+      if (_oldParent !== newParent && parents.indexOf(newParent) > -1) {
+        throw new Error('The node is already a child of the new parent.');
+      }
+
+      // Take the node's placements out of the old parent, then put them
+      // back in the new parent, placing the node again if the new parent
+      // appears in more places than the old one
+      const moving = [];
+      const oldParents = this._placementsOf(_oldParent);
+      for (let i=0; i<oldParents.length; i++) {
+        const placement = this._tree.childrenToArray(oldParents[i]).find(p => p.item === node);
+        if (placement) {
+          this._tree.remove(placement);
+          moving.push(placement);
+        }
+      }
+
+      const newParents = this._placementsOf(newParent);
+      let first = null;
+      for (let i=0; i<newParents.length; i++) {
+        const ref = (typeof index === 'number') ? (this._tree.childrenToArray(newParents[i])[Math.max(index, 0)] || null) : null;
+        let placement = moving.shift();
+        if (!placement) {
+          placement = this._placeChild(newParents[i], node, ref);
+        }
+        else if (ref) {
+          this._tree.insertBefore(ref, placement);
+        }
+        else {
+          this._tree.appendChild(newParents[i], placement);
+        }
+        first = first || placement;
+      }
+      // Drop any placements left over if the new parent appears in fewer
+      // places. The node is still in the graph, so nothing is removed.
+      for (let i=0; i<moving.length; i++) {
+        this._removePlacement(moving[i], []);
+      }
+
+      this.refreshAggregates(_oldParent);
+      this.refreshAggregates(newParent);
+      this._updateRows(_oldParent);
+      this._updateRows(newParent);
+      this._emit('moved', { node, oldParent: _oldParent, parent: newParent, index: first ? this._tree.index(first) : null });
+      return this.getChildren(newParent);
+    }
+
+    /**
+     * Sorts the requested node's children in place using `comparator`, which
+     * works like the comparator for `Array.prototype.sort`. Children that
+     * compare as equal keep their current order. If `node` is null, the
+     * children at the root of the graph are sorted.
+     *
+     * @param  {Object|null} node
+     * @param  {Function} comparator
+     * @return {Array<Object>|null} the sorted child array of the node
+     */
+    sortChildren(node: Object | null, comparator: (a: Object, b: Object) => number): Array<Object> | null {
+      if (typeof comparator !== 'function') {
+        throw new Error('A comparator function is required.');
+      }
+
+      if (node !== null && typeof node === 'object' && !this.hasNode(node)) {
+        throw new Error('The parent node must be a node in the graph or null.')
+      }
+
+      const parents = this._placementsOf(node);
+      for (let i=0; i<parents.length; i++) {
+        const sorted = this._tree.childrenToArray(parents[i])
+          .map((child, j) => ({ child, j }))
+          .sort((a, b) => comparator(a.child.item, b.child.item) || (a.j - b.j))
+          .map(entry => entry.child);
+
+        for (let j=0; j<sorted.length; j++) {
+          this._tree.remove(sorted[j]);
+          this._tree.appendChild(parents[i], sorted[j]);
+        }
+      }
+
+      const children = this.getChildren(node);
+      this._updateRows(node);
+      this._emit('sorted', { parent: node, children: children });
+      return children;
+    }
+
+    /**
+     * Updates the fields of the node with the values in `patch`. Returns an
+     * object with an entry for each field whose value changed, with the
+     * field's new `value` and `oldValue`.
+     *
+     * If the node's ID changes, it is indexed by its new ID. Setting
+     * `isTerminal`, `isExhausted` or `isSelectable` to a boolean also updates
+     * the node's flags. The `children` key is ignored, the node's children
+     * can only be changed with `addChildren` and `removeChildren`.
+     *
+     * @param  {Object} node
+     * @param  {Object} patch
+     * @return {Object}
+     */
+    updateNode(node: Object, patch: Object): { [key: string]: { value: any, oldValue: any } } {
+      if (!node || !this.hasNode(node)) {
+        throw new Error('Only nodes in the graph can be updated.');
+      }
+      if (!patch || typeof patch !== 'object') {
+        throw new Error('A patch object is required.');
+      }
+
+      const idKey = this._defaultKeys.id;
+      const changes = {};
+      const keys = Object.keys(patch).filter(key => key !== this._defaultKeys.children && node[key] !== patch[key]);
+      if (keys.indexOf(idKey) > -1) {
+        this._unindexNode(node);
+      }
+      for (let i=0; i<keys.length; i++) {
+        changes[keys[i]] = { value: patch[keys[i]], oldValue: node[keys[i]] };
+        node[keys[i]] = patch[keys[i]];
+      }
+      if (keys.indexOf(idKey) > -1) {
+        this._indexNode(node);
+      }
+
+      ['isTerminal', 'isExhausted', 'isSelectable'].forEach(flag => {
+        if (typeof patch[flag] === 'boolean') {
+          this._setFlag(node, flag, patch[flag]);
+        }
+      });
+
+      if (keys.length) {
+        this.refreshAggregates(node);
+        this._emit('updated', { node, changes });
+      }
+      return changes;
+    }
+
+    isExhausted(node: Object | null): boolean | null {
+      if (node === null || this.hasNode(node)) {
+        const info = this._node(node === null ? this._rootNode : node);
+        return info && info.isExhausted === true ? true : false;
+      }
+      return null;
+    }
+
+    setExhausted(node: Object | null, isExhausted: boolean): boolean | null {
+      if (node === null || this.hasNode(node)) {
+        this._setFlag(node === null ? this._rootNode : node, 'isExhausted', isExhausted);
+        return isExhausted;
+      }
+      return null;
+    }
+
+    isTerminal(node: Object | null): boolean | null {
+      if (node === null) {
+        // The root node can never be terminal, it must have children
+        return false;
+      }
+      if (this.hasNode(node)) {
+        const info = this._node(node);
+        return info && info.isTerminal === true ? true : false;
+      }
+      return null;
+    }
+
+    setTerminal(node: Object | null, isTerminal: boolean): boolean | null {
+      if (node === null) {
+        // The root node can never be terminal, it must have children
+        throw new Error('The root node can never be terminal, it must have children.');
+      }
+      if (this.hasNode(node)) {
+        this._setFlag(node, 'isTerminal', isTerminal);
+        return isTerminal;
+      }
+      return null;
+    }
+
+    isSelectable(node: Object | null): boolean | null {
+      if (node === null || this.hasNode(node)) {
+        const info = this._node(node === null ? this._rootNode : node);
+        // isSelectable defaults to `true`, if a node was not explicitly
+        // marked `isSelectable:false` then it is selectable
+        if (info && info.isSelectable === false) {
+          return false;
+        } else {
+          return true;
+        }
+      }
+      return null;
+    }
+
+    setSelectable(node: Object | null, isSelectable: boolean): boolean | null {
+      if (node === null || this.hasNode(node)) {
+        this._setFlag(node === null ? this._rootNode : node, 'isSelectable', isSelectable);
+        return isSelectable;
+      }
+      return null;
+    }
+
+    /**
+     * Checks if the node is expanded. The root of the graph is always
+     * expanded. Returns null if the node is not in the graph.
+     *
+     * @param  {Object|null} node
+     * @return {boolean|null}
+     */
+    isExpanded(node: Object | null): boolean | null {
+      if (node === null) {
+        return true;
+      }
+      return this.hasNode(node) ? this._expanded.has(node) : null;
+    }
+
+    /**
+     * Expands or collapses the node. The children of expanded nodes are
+     * included in the rows returned by `getVisibleRows`. Nodes are collapsed
+     * until they are expanded. Returns null if the node is not in the graph.
+     *
+     * @param  {Object} node
+     * @param  {boolean} isExpanded
+     * @return {boolean|null}
+     */
+    setExpanded(node: Object, isExpanded: boolean): boolean | null {
+      if (node === null) {
+        throw new Error('The root node is always expanded.');
+      }
+      if (!this.hasNode(node)) {
+        return null;
+      }
+      if (this._expanded.has(node) !== isExpanded) {
+        if (isExpanded) {
+          this._expanded.add(node);
+        } else {
+          this._expanded.delete(node);
+        }
+        this._updateRows(node);
+        this._emit('expanded-changed', { node, expanded: isExpanded });
+      }
+      return isExpanded;
+    }
+
+    /**
+     * Returns the graph flattened into the rows a tree or virtual list (e.g.
+     * `iron-list`) should show: each node at the root of the graph, with the
+     * children of expanded nodes under them, in depth-first order. Each row
+     * is an object with:
+     *
+     * - {Object} `item`: The node
+     * - {number} `depth`: 0 for nodes at the root, 1 for their children, etc.
+     * - {boolean} `hasChildren`: True if the node has children in the graph
+     * - {boolean} `expanded`: True if the node is expanded
+     *
+     * A node that appears under more than one expanded parent gets a row
+     * for each place.
+     *
+     * The rows are kept between calls and only the rows below a node that
+     * is expanded, collapsed or has its children changed are built again,
+     * so this is cheap to call after each change. Rows that didn't change
+     * are the same objects each time.
+     *
+     * @return {Array<Object>}
+     */
+    getVisibleRows(): Array<AssetRow> {
+      if (this._rows === null) {
+        const rows = [];
+        const placements = [];
+        this._flattenRows(this._rootNode, -1, rows, placements);
+        this._rows = rows;
+        this._rowPlacements = placements;
+      }
+      return this._rows.slice(0);
+    }
+
+    /* Adds a row for each child of the placement, followed by the rows for
+       its own children if it is expanded */
+    _flattenRows(placement: Object, depth: number, rows: Array<AssetRow>, placements: Array<Object>) {
+      const children = this._tree.childrenToArray(placement);
+      for (let i=0; i<children.length; i++) {
+        const row = this._getRow(children[i], depth + 1);
+        rows.push(row);
+        placements.push(children[i]);
+        if (row.expanded) {
+          this._flattenRows(children[i], depth + 1, rows, placements);
+        }
+      }
+    }
+
+    _getRow(placement: Object, depth: number): AssetRow {
+      return {
+        item: placement.item,
+        depth: depth,
+        hasChildren: this._tree.firstChild(placement) !== null,
+        expanded: this._expanded.has(placement.item)
+      };
+    }
+
+    /* Builds the rows for each place the node appears again, along with the
+       rows below it. Rows for the root are built again the next time they
+       are requested. */
+    _updateRows(node: Object | null) {
+      if (node === null) {
+        this._rows = null;
+        this._rowPlacements = null;
+        return;
+      }
+      const nodePlacements = this._placementsOf(node);
+      for (let i=0; i<nodePlacements.length; i++) {
+        const rows = this._rows;
+        const placements = this._rowPlacements;
+        if (rows === null || placements === null) {
+          return;
+        }
+        const start = placements.indexOf(nodePlacements[i]);
+        if (start === -1) {
+          // Hidden under a collapsed ancestor
+          continue;
+        }
+        const depth = rows[start].depth;
+        let end = start + 1;
+        while (end < rows.length && rows[end].depth > depth) {
+          end++;
+        }
+        const newRows = [this._getRow(nodePlacements[i], depth)];
+        const newPlacements = [nodePlacements[i]];
+        if (newRows[0].expanded) {
+          this._flattenRows(nodePlacements[i], depth, newRows, newPlacements);
+        }
+        this._rows = rows.slice(0, start).concat(newRows, rows.slice(end));
+        this._rowPlacements = placements.slice(0, start).concat(newPlacements, placements.slice(end));
+      }
+    }
+
+    /**
+     * Returns a copy of the graph that can be passed to `JSON.stringify` and
+     * restored later with `AssetGraph.fromJSON`. The copy has the following
+     * properties:
+     *
+     * - {Object} `keys`: The `id`, `label` and `children` keys of the graph
+     * - {boolean} `isExhausted`: If the root of the graph is exhausted
+     * - {boolean} `allowMultipleParents`: If the graph allows multiple parents
+     * - {Array} `items`: A copy of each item at the root of the graph
+     *
+     * Each item is copied with its children (as they are in the graph, not as
+     * they were originally passed in) under the `children` key. Any
+     * `isTerminal`, `isExhausted` or `isSelectable` flags set in the graph are
+     * written to the copied item, so the `items` can also be passed directly
+     * to the `items` property of the AssetGraph behavior. An item with more
+     * than one parent is copied once and the copy appears under each parent.
+     *
+     * @return {Object}
+     */
+    toJSON(): AssetGraphJSON {
+      const childKey = this._defaultKeys.children;
+      const copies = new Map();
+      const copy = (node: Object): Object => {
+        const existing = copies.get(node);
+        if (existing) {
+          return existing;
+        }
+        const item = Object.assign({}, node);
+        copies.set(node, item);
+        const info = this._node(node);
+        ['isTerminal', 'isExhausted', 'isSelectable'].forEach(flag => {
+          if (typeof info[flag] === 'boolean') {
+            item[flag] = info[flag];
+          } else {
+            delete item[flag];
+          }
+        });
+        const children = this.getChildren(node) || [];
+        if (children.length) {
+          item[childKey] = children.map(copy);
+        } else {
+          delete item[childKey];
+        }
+        return item;
+      };
+
+      return {
+        keys: Object.assign({}, this._defaultKeys),
+        isExhausted: this.isExhausted(null) === true,
+        allowMultipleParents: this._allowMultipleParents,
+        items: (this.getRootChildren() || []).map(copy)
+      };
+    }
+
+    /**
+     * Creates a new graph from the output of `toJSON` (or the result of
+     * parsing it with `JSON.parse`). The items in the new graph are the
+     * objects in `json.items`, not the items of the original graph.
+     *
+     * If the graph allows multiple parents, parsing the JSON will have turned
+     * each item with more than one parent into separate copies. Items with
+     * the same ID are joined back into one item (the first copy) so they are
+     * added under each parent again.
+     *
+     * @param  {Object} json
+     * @return {AssetGraph}
+     */
+    static fromJSON(json: AssetGraphJSON): AssetGraph {
+      if (!json || typeof json !== 'object' || !Array.isArray(json.items)) {
+        throw new Error('An object with an array of items is required.');
+      }
+
+      const graph = new AssetGraph({ keys: json.keys, allowMultipleParents: json.allowMultipleParents === true });
+      const idKey = graph._defaultKeys.id;
+      const childKey = graph._defaultKeys.children;
+      const byId = new Map();
+      const join = (items: Array<Object>): Array<Object> => items.map(item => {
+        const id = item[idKey];
+        const first = byId.get(id);
+        if (first) {
+          return first;
+        }
+        if (id !== undefined && id !== null && id !== '') {
+          byId.set(id, item);
+        }
+        if (Array.isArray(item[childKey])) {
+          item[childKey] = join(item[childKey]);
+        }
+        return item;
+      });
+      const items = graph._allowMultipleParents ? join(json.items) : json.items;
+      if (items.length) {
+        graph.addChildren(null, items, {
+          recursive: true,
+          childrenKey: childKey
+        });
+      }
+      if (json.isExhausted === true) {
+        graph.setExhausted(null, true);
+      }
+      return graph;
+    }
+
+    /**
+     * Checks an array of items (and their children) and the keys used to
+     * read them for problems that would stop the graph or the components
+     * using it from working. Returns an array with every problem found, or an
+     * empty array if there are none.
+     *
+     * Each problem is an object with the following properties:
+     *
+     * - {string} `code`: The kind of problem, one of:
+     *   - 'invalid-keys': Only some of the `id`, `label` and `children` keys
+     *   are set, or a key is not a string
+     *   - 'invalid-items': `items` is not an array
+     *   - 'invalid-item': An item is not an object
+     *   - 'missing-id': An item does not have an ID
+     *   - 'duplicate-id': An item has the same ID as one of its siblings
+     *   - 'invalid-children': An item's children are not an array
+     *   - 'terminal-with-children': An item is marked `isTerminal` but has children
+     * - {string} `message`: A description of the problem
+     * - {Array} `route`: The route to the item with the problem (entries
+     * for items without an ID are null), or null if the problem is not with
+     * an item
+     * - {Object} `item`: The item with the problem, or null
+     *
+     * @param  {Array<Object>} items
+     * @param  {Object} keys
+     * @return {Array<Object>}
+     */
+    static validate(items: Array<Object>, keys?: AssetGraphKeys): Array<AssetValidationError> {
+      const errors = [];
+      const _keys = keys || {};
+      const keyNames = ['id', 'label', 'children'];
+      const setKeys = keyNames.filter(k => _keys[k] !== undefined && _keys[k] !== null);
+      if (setKeys.length && setKeys.length !== keyNames.length) {
+        const missing = keyNames.filter(k => setKeys.indexOf(k) === -1);
+        errors.push({ code: 'invalid-keys', message: `If any keys are set, all keys must be set. Missing: ${missing.join(', ')}.`, route: null, item: null });
+      }
+      setKeys.forEach(k => {
+        if (typeof _keys[k] !== 'string' || !_keys[k].length) {
+          errors.push({ code: 'invalid-keys', message: `The "${k}" key must be a non-empty string.`, route: null, item: null });
+        }
+      });
+
+      if (!Array.isArray(items)) {
+        errors.push({ code: 'invalid-items', message: 'The items must be an array.', route: null, item: null });
+        return errors;
+      }
+
+      const idKey = (typeof _keys.id === 'string' && _keys.id.length) ? _keys.id : 'id';
+      const childKey = (typeof _keys.children === 'string' && _keys.children.length) ? _keys.children : 'children';
+      const check = (siblings: Array<any>, parentRoute: Array<string|null>) => {
+        const seen = {};
+        for (let i=0; i<siblings.length; i++) {
+          const item = siblings[i];
+          if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            errors.push({ code: 'invalid-item', message: `The item at index ${i} is not an object.`, route: parentRoute.length ? parentRoute : null, item: null });
+            continue;
+          }
+
+          const id = item[idKey];
+          const hasId = (id !== undefined && id !== null && id !== '');
+          const route = parentRoute.concat(AssetGraph.pathToRoute([item], idKey));
+          if (!hasId) {
+            errors.push({ code: 'missing-id', message: `The item at index ${i} is missing its "${idKey}".`, route, item });
+          }
+          else if (seen.hasOwnProperty(String(id))) {
+            errors.push({ code: 'duplicate-id', message: `The ${idKey} "${String(id)}" is used by more than one sibling.`, route, item });
+          }
+          else {
+            seen[String(id)] = true;
+          }
+
+          const children = item[childKey];
+          if (children !== undefined && children !== null && !Array.isArray(children)) {
+            errors.push({ code: 'invalid-children', message: `The "${childKey}" of the item must be an array.`, route, item });
+            continue;
+          }
+          if (Array.isArray(children) && children.length && item.isTerminal === true) {
+            errors.push({ code: 'terminal-with-children', message: 'The item is marked `isTerminal` but has children.', route, item });
+          }
+          if (Array.isArray(children)) {
+            check(children, route);
+          }
+        }
       };
+      check(items, []);
 
-      /* Initialize SymbolTree and prepare its root node */
-      this._tree = new SymbolTree();
-      this._rootNode = { ROOT : true };
-      this._symbol = Symbol('AssetGraph data');
+      return errors;
     }
 
-    _node(object: Object): { isExhausted: boolean | null, isTerminal: boolean | null, isSelectable: boolean | null } {
-      const node = object[this._symbol];
-
-      if (node) {
-        return node;
-      }
-      else {
-        return (object[this._symbol] = { isExhausted: null, isTerminal: null, isSelectable: null });
-      }
-    }
+    /**
+     * The built-in reducers that can be used by name with `addAggregate`.
+     */
+    static reducers: { [name: string]: (value: any, childResults: Array<any>) => any };
 
-    _getKey(key: 'id' | 'children', val?: string) {
-      return (val && typeof val === 'string' && val.length) ? val : this._defaultKeys[key];
+    static pathToRoute(path: Array<Object>, routeKey: string): Array<string|null> {
+      return path.map(p => typeof p[routeKey] === 'string' && p[routeKey].length ? p[routeKey] : null);
     }
 
     /**
-     * Checks if the node is in the graph.
-     *
-     * @param  {Object} node
-     * @return {boolean}
+     * Checks if a lowercase label matches a lowercase query. Returns null if
+     * it does not match, otherwise the kind of match and its score. Prefix
+     * matches score between 3 and 4, substring matches between 2 and 3, and
+     * fuzzy matches between 1 and 2.
      */
-    hasNode(node: Object): boolean {
-      if (this._tree.index(node) > -1) {
-        return true;
+    static matchLabel(query: string, label: string): { match: 'prefix' | 'substring' | 'fuzzy', score: number } | null {
+      const index = label.indexOf(query);
+      if (index === 0) {
+        return { match: 'prefix', score: 3 + (query.length / label.length) };
       }
-      return false;
+      if (index > 0) {
+        return { match: 'substring', score: 2 + (query.length / label.length) };
+      }
+
+      // Fuzzy match: every character of the query must appear in the label in
+      // order. The shorter the stretch of the label they span, the better.
+      let start = -1;
+      let pos = -1;
+      for (let i=0; i<query.length; i++) {
+        pos = label.indexOf(query[i], pos + 1);
+        if (pos === -1) {
+          return null;
+        }
+        if (i === 0) {
+          start = pos;
+        }
+      }
+      return { match: 'fuzzy', score: 1 + (query.length / (pos - start + 1)) };
     }
+  };
 
-    getInfo(node: Object, routeKey?: string): AssetNodeInfo | null {
-      if (this._tree.index(node) > -1) {
-        const _routeKey = this._getKey('id', routeKey);
-        const path = this.getPath(node);
-        const route = path ? AssetGraph.pathToRoute(path, _routeKey) : null;
-        const parent = this.getParent(node);
-        const siblings = this.getSiblings(node);
-        const children = this.getChildren(node);
-        const hasChildren = (typeof children === 'object' && Array.isArray(children) && children.length > 0);
-        const isTerminal = this.isTerminal(node);
-        const isExhausted = this.isExhausted(node);
-        const isSelectable = this.isSelectable(node);
-
-        return {
-          item: node,
-          path: path,
-          route: route,
-          parent: parent,
-          siblings: siblings,
-          children: children,
-          hasChildren: hasChildren,
-          isTerminal: isTerminal,
-          isExhausted: isExhausted,
-          isSelectable: isSelectable
-        };
+  /**
+   * A read-only view of an `AssetGraph` that only includes some of its nodes.
+   * Create one with `graph.createView(predicate)`.
+   *
+   * A node is in the view if `predicate` returns true for it, or if one of
+   * its descendants is in the view. Nodes keep their routes and paths from
+   * the graph. Methods called with a node that is not in the view return
+   * null.
+   */
+  class AssetGraphView {
+    _graph: AssetGraph;
+    _predicate: (node: Object) => boolean;
+    _visible: Map<Object, boolean> | null;
+    _descendantCounts: Map<Object, number> | null;
+    _unsubscribe: Array<() => void>;
+    _listeners: { [type: string]: Array<Function> };
 
+    constructor(graph: AssetGraph, predicate: (node: Object) => boolean) {
+      if (typeof predicate !== 'function') {
+        throw new Error('A predicate function is required.');
       }
-      return null;
+      this._graph = graph;
+      this._predicate = predicate;
+      this._listeners = {};
+
+      /* Maps each node of the graph to whether it is in the view. Cleared
+         when the graph changes and built again the next time it is needed. */
+      this._visible = null;
+      this._descendantCounts = null;
+      this._unsubscribe = ['added', 'removed', 'moved', 'sorted', 'flag-changed', 'reconciled', 'updated']
+        .map(type => graph.on(type, () => this.refresh()));
     }
 
     /**
-     * Returns a reference to the node's parent. If the node has no parent or is
-     * not in the graph, returns null.
+     * Subscribes to changes to the view. The only event type is 'changed',
+     * which happens each time the graph changes or the view is refreshed.
+     * Detail: `{view}`. Returns a function that can be called to unsubscribe.
      *
-     * @param  {Object} node
-     * @return {Object|null}
+     * @param  {string} type
+     * @param  {Function} callback
+     * @return {Function} unsubscribes the callback
      */
-    getParent(node: Object | null): Object | null {
-      if (node && this._tree.index(node) > -1) {
-        const parent = this._tree.parent(node);
-        return parent !== this._rootNode ? parent : null;
+    on(type: string, callback: Function): () => void {
+      if (typeof callback !== 'function') {
+        throw new Error('A callback function is required.');
       }
-      return null;
-    }
-
-    /**
-     * This method returns whether or not the passed in item as any siblings.
-     * @param {Object} node
-     */
-    hasSiblings(node) {
-      var siblings = this.getSiblings(node);
-      return siblings && siblings.length > 1;
+      (this._listeners[type] || (this._listeners[type] = [])).push(callback);
+      return () => this.off(type, callback);
     }
 
     /**
-     * Returns a reference to the node's siblings (the children of its parent).
-     * The returned array includes the node.
+     * Unsubscribes a callback subscribed with `on`.
      *
-     * @param  {Object} node
-     * @return {Array<Object>|null}
+     * @param  {string} type
+     * @param  {Function} callback
      */
-    getSiblings(node: Object | null): Array<Object> | null {
-      if (node && this._tree.index(node) > -1) {
-        return this._tree.childrenToArray(this._tree.parent(node));
+    off(type: string, callback: Function) {
+      const listeners = this._listeners[type];
+      if (listeners && listeners.indexOf(callback) > -1) {
+        this._listeners[type] = listeners.filter(l => l !== callback);
       }
-      return null;
     }
 
     /**
-     * Returns an array of ancestor nodes from the root of the graph to the requested
-     * node. The returned array includes the node.
+     * Checks which nodes are in the view again. Call this when something the
+     * predicate depends on changes outside the graph (e.g. the favorited
+     * items). Pass a new `predicate` to replace the current one.
      *
-     * @param  {Object} node
-     * @return {Array<Object>|null}
+     * @param  {Function} predicate
      */
-    getPath(node: Object | null): Array<Object> | null {
-      if (node && this._tree.index(node) > -1) {
-        // reverse so its root->node, slice to remove the virtual root node
-        return this._tree.ancestorsToArray(node).reverse().slice(1);
+    refresh(predicate?: (node: Object) => boolean) {
+      if (typeof predicate === 'function') {
+        this._predicate = predicate;
+      }
+      this._visible = null;
+      this._descendantCounts = null;
+      const listeners = this._listeners['changed'] || [];
+      for (let i=0; i<listeners.length; i++) {
+        listeners[i].call(this, { type: 'changed', view: this });
       }
-      return null;
     }
 
     /**
-     * Returns an array of unique IDs for each ancestor of the requested node
-     * starting at the root of the graph and ending with the requested node.
-     *
-     * @param  {Object} node
-     * @return {Array<string>|null}
+     * Stops updating the view when the graph changes.
      */
-    getRoute(node: Object | null, routeKey?: string): Array<string|null> | null {
-      if (node && this._tree.index(node) > -1) {
-        const _routeKey = typeof routeKey === 'string' && routeKey.length ? routeKey : this._defaultKeys.id;
-        const ancestors = this.getPath(node);
-        // if (!ancestors) return null;
-        // const path = [];
-        // for (let i=0; i<ancestors.length; i++) {
-        //   path.push(typeof ancestors[i][_routeKey] === 'string' && ancestors[i][_routeKey].length ? ancestors[i][_routeKey] : null);
-        // }
-        // return path;
-        return ancestors ? AssetGraph.pathToRoute(ancestors, _routeKey) : null;
-      }
-      return null;
+    destroy() {
+      this._unsubscribe.forEach(unsubscribe => unsubscribe());
+      this._unsubscribe = [];
+      this._listeners = {};
     }
 
-    getNodeAtRoute(route: Array<string>, routeKey?: string): Object | null {
-      if (typeof route !== 'object' || !Array.isArray(route) || !route.length) {
-        throw new Error('An array of route strings is required.');
+    _getVisible(): Map<Object, boolean> {
+      if (this._visible) {
+        return this._visible;
       }
-
-      const _routeKey = typeof routeKey === 'string' && routeKey.length ? routeKey : this._defaultKeys.id;
-      let searchRoute = route.slice(0);
-      let items = this._tree.childrenToArray(this._rootNode).slice(0);
-      let foundItem = null;
-
-      while (!foundItem && items.length > 0 && searchRoute.length > 0) {
-        let item = items.shift();
-        if (item[_routeKey] === searchRoute[0] && this._tree.childrenCount(item) > 0 && searchRoute.length !== 1) {
-          searchRoute.shift();
-          items = this._tree.childrenToArray(item).slice(0);
-          continue;
+      const visible = new Map();
+      // Visits each node once, even if it appears under more than one parent
+      const visit = (node: Object): boolean => {
+        const known = visible.get(node);
+        if (typeof known === 'boolean') {
+          return known;
         }
-        if (item[_routeKey] === searchRoute[0] && searchRoute.length === 1) {
-          foundItem = item;
-          break;
+        let isVisible = this._predicate(node) === true;
+        const children = this._graph.getChildren(node) || [];
+        for (let i=0; i<children.length; i++) {
+          isVisible = visit(children[i]) || isVisible;
         }
-      }
+        visible.set(node, isVisible);
+        return isVisible;
+      };
+      (this._graph.getRootChildren() || []).forEach(visit);
+      return (this._visible = visible);
+    }
 
-      return foundItem;
+    /**
+     * Checks if the node is in the view.
+     *
+     * @param  {Object} node
+     * @return {boolean}
+     */
+    hasNode(node: Object): boolean {
+      return !!node && this._getVisible().get(node) === true;
     }
 
     /**
-     * Returns a reference to the requested node's children. The returned array
-     * will be empty if no children are defined.
+     * Checks if the node is in the view because `predicate` returned true
+     * for it, and not only because one of its descendants matched.
      *
      * @param  {Object} node
+     * @return {boolean}
+     */
+    isMatch(node: Object): boolean {
+      return this.hasNode(node) && this._predicate(node) === true;
+    }
+
+    /**
+     * Returns the node's children that are in the view. If `node` is null,
+     * returns the nodes at the root of the view.
+     *
+     * @param  {Object|null} node
      * @return {Array<Object>|null}
      */
     getChildren(node: Object | null): Array<Object> | null {
-      const _node = (node === null) ? this._rootNode : node;
-      if (_node && (_node.ROOT || this._tree.index(_node) > -1)) {
-        return this._tree.childrenToArray(_node);
+      if (node !== null && !this.hasNode(node)) {
+        return null;
       }
-      return null;
+      const children = this._graph.getChildren(node);
+      return children ? children.filter(child => this.hasNode(child)) : null;
     }
 
     /**
-     * Returns a reference to the root node's children. The returned array will
-     * be empty if no children are defined.
+     * Returns the nodes at the root of the view.
      *
      * @return {Array<Object>|null}
      */
     getRootChildren(): Array<Object> | null {
-      const _node = this._rootNode;
-      if (_node) {
-        return this._tree.childrenToArray(_node);
-      }
-      return null;
+      return this.getChildren(null);
     }
 
     /**
-     * Checks if the node has any children.
+     * Checks if the node has any children in the view.
      *
-     * @param  {Object} node
+     * @param  {Object|null} node
      * @return {boolean|null}
      */
     hasChildren(node: Object | null): boolean | null {
-      const _node = (node === null) ? this._rootNode : node;
-      if (_node && (_node.ROOT || this._tree.index(_node) > -1)) {
-        return this._tree.childrenCount(_node) > 0;
-      }
-      return null;
+      const children = this.getChildren(node);
+      return children ? children.length > 0 : null;
     }
 
     /**
-     * Adds a child or children to the requested node. Can pass a single object
-     * to add one child, or an array of objects to add multiple children.
-     * If `node` is null, the child object(s) will be added to the root of the graph.
+     * Returns the node's parent. See `AssetGraph.getParent`.
      *
-     * @param  {Object|null} node
-     * @param  {Object|Array<Object>} children
-     * @return {Array<Object>|undefined} the updated child array of the node
+     * @param  {Object} node
+     * @return {Object|null}
      */
-    addChildren(node: Object | null, children: Object | Array<Object>, options?: { isExhausted?: boolean, isSelectable?: boolean, recursive?: boolean,
-    childrenKey?: string }): Array<Object> | null {
-      if (typeof children !== 'object' || (Array.isArray(children) && !children.length)) {
-        throw new Error('A child object or array of child objects is required.');
-      }
-
-      if (node !== null && typeof node === 'object' && !this.hasNode(node)) {
-        throw new Error('The parent node must be a node in the graph or null.')
-      }
-
-      const parent = (node !== null) ? node : this._rootNode;
-      const childArray = Array.isArray(children) ? children : [children];
-      const childKey = (typeof options === 'object' && typeof options.childrenKey === 'string' && options.childrenKey.length)
-        ? options.childrenKey : this._defaultKeys.children;
-      const isRecursive = (typeof options === 'object' && typeof options.recursive === 'boolean')
-        ? options.recursive : false;
-      for (let i=0; i<childArray.length; i++) {
-        const info = this._node(childArray[i]);
-        info.isTerminal = childArray[i].hasOwnProperty('isTerminal') ? childArray[i].isTerminal : null;
-        info.isExhausted = childArray[i].hasOwnProperty('isExhausted') ? childArray[i].isExhausted : null;
-        info.isSelectable = childArray[i].hasOwnProperty('isSelectable') ? childArray[i].isSelectable : null;
-        this._tree.appendChild(parent, childArray[i]);
-        if (isRecursive && typeof childArray[i][childKey] === 'object' && Array.isArray(childArray[i][childKey]) && childArray[i][childKey].length) {
-          this.addChildren(childArray[i], childArray[i][childKey], { recursive: true, childrenKey: childKey });
-        }
-      }
-
-      if (typeof options === 'object' && typeof options.isExhausted === 'boolean') {
-        const isExhausted: boolean = options.isExhausted;
-        const info = this._node(parent);
-        info.isExhausted = isExhausted;
-      }
-
-      if (typeof options === 'object' && typeof options.isSelectable === 'boolean') {
-        const isSelectable: boolean = options.isSelectable;
-        const info = this._node(parent);
-        info.isSelectable = isSelectable;
-      }
-
-      return this.getChildren(parent);
+    getParent(node: Object | null): Object | null {
+      return (node && this.hasNode(node)) ? this._graph.getParent(node) : null;
     }
 
     /**
-     * Removes a child or children from the requested node. Can pass a single object
-     * by reference to remove one child, or an array of objects by reference to
-     * remove multiple children. If `node` is null, the child object(s) will be
-     * removed from the root of the graph.
+     * Returns the node's siblings that are in the view, including the node.
      *
-     * @param  {Object|null} node
-     * @param  {Object|Array<Object>} children
-     * @return {Array<Object>|undefined} the updated child array of the node
+     * @param  {Object} node
+     * @return {Array<Object>|null}
      */
-    removeChildren(node: Object | null, children?: Object | Array<Object> | null, options?: { isExhausted: boolean }): Array<Object> | typeof undefined {
-      if (typeof children !== 'object' || (Array.isArray(children) && !children.length)) {
-        throw new Error('A child object or array of child objects is required.');
-      }
-
-      if (node !== null && typeof node === 'object' && !this.hasNode(node)) {
-        throw new Error('The parent node must be a node in the graph or null.')
-      }
-
-      const parent = (node !== null) ? node : this._rootNode;
-      let childArray: Array<Object> | null;
-      if (children === null) {
-        childArray = this.getChildren(parent);
-      }
-      else if (Array.isArray(children)) {
-        childArray = children;
-      }
-      else {
-        childArray = [children];
-      }
-      if (!childArray) {
-        /* Can't figure out how to get the children to remove, give up */
-        return;
-      }
-      for (let i=0; i<childArray.length; i++) {
-        if (!this.hasNode(childArray[i])) {
-          throw new Error('Child node(s) cannot be removed from the graph if it they were never added');
-        }
-        if ((node !== null && this.getParent(childArray[i]) !== parent) || (node == null && this.getParent(childArray[i]) !== null)) {
-          throw new Error('Child node(s) passed to "removeChildren" method must be children of the given parent');
-        }
-        this._tree.remove(childArray[i]);
-      }
+    getSiblings(node: Object | null): Array<Object> | null {
+      return (node && this.hasNode(node)) ? this.getChildren(this._graph.getParent(node)) : null;
     }
 
-    isExhausted(node: Object | null): boolean | null {
-      const _node = (node === null) ? this._rootNode : node;
-      if (_node && (_node.ROOT || this._tree.index(_node) > -1)) {
-        const info = this._node(_node);
-        return info && info.isExhausted === true ? true : false;
-      }
-      return null;
+    /**
+     * Returns the path to the node. See `AssetGraph.getPath`.
+     *
+     * @param  {Object} node
+     * @return {Array<Object>|null}
+     */
+    getPath(node: Object | null): Array<Object> | null {
+      return (node && this.hasNode(node)) ? this._graph.getPath(node) : null;
     }
 
-    setExhausted(node: Object | null, isExhausted: boolean): boolean | null {
-      const _node = (node === null) ? this._rootNode : node;
-      if (_node && (_node.ROOT || this._tree.index(_node) > -1)) {
-        const info = this._node(_node);
-        info.isExhausted = isExhausted;
-        return isExhausted;
-      }
-      return null;
+    /**
+     * Returns the route to the node. See `AssetGraph.getRoute`.
+     *
+     * @param  {Object} node
+     * @param  {string} routeKey
+     * @return {Array<string>|null}
+     */
+    getRoute(node: Object | null, routeKey?: string): Array<string|null> | null {
+      return (node && this.hasNode(node)) ? this._graph.getRoute(node, routeKey) : null;
     }
 
-    isTerminal(node: Object | null): boolean | null {
-      if (node === null) {
-        // The root node can never be terminal, it must have children
-        return false;
-      }
-      if (this._tree.index(node) > -1) {
-        const info = this._node(node);
-        return info && info.isTerminal === true ? true : false;
-      }
-      return null;
+    /**
+     * Returns the node at the route if it is in the view. See
+     * `AssetGraph.getNodeAtRoute`.
+     *
+     * @param  {Array<string>} route
+     * @param  {string} routeKey
+     * @return {Object|null}
+     */
+    getNodeAtRoute(route: Array<string>, routeKey?: string): Object | null {
+      const node = this._graph.getNodeAtRoute(route, routeKey);
+      return (node && this.hasNode(node)) ? node : null;
     }
 
-    setTerminal(node: Object | null, isTerminal: boolean): boolean | null {
-      if (node === null) {
-        // The root node can never be terminal, it must have children
-        throw new Error('The root node can never be terminal, it must have children.');
-      }
-      if (this._tree.index(node) > -1) {
-        const info = this._node(node);
-        info.isTerminal = isTerminal;
-        return isTerminal;
+    /**
+     * Returns information about the node, with its `children`, `siblings`
+     * and counts limited to the nodes in the view. See `AssetGraph.getInfo`.
+     *
+     * @param  {Object} node
+     * @param  {string} routeKey
+     * @return {Object|null}
+     */
+    getInfo(node: Object, routeKey?: string): AssetNodeInfo | null {
+      const info = (node && this.hasNode(node)) ? this._graph.getInfo(node, routeKey) : null;
+      if (!info) {
+        return null;
       }
-      return null;
+      const children = this.getChildren(node) || [];
+      const siblings = this.getSiblings(node) || [];
+      return Object.assign({}, info, {
+        children: children,
+        siblings: siblings,
+        hasChildren: children.length > 0,
+        index: siblings.indexOf(node),
+        siblingCount: siblings.length,
+        descendantCount: this._countDescendants(node),
+        isLeaf: children.length === 0
+      });
     }
 
-    isSelectable(node: Object | null): boolean | null {
-      const _node = (node === null) ? this._rootNode : node;
-      if (_node && (_node.ROOT || this._tree.index(_node) > -1)) {
-        const info = this._node(_node);
-        // isSelectable defaults to `true`, if a node was not explicitly
-        // marked `isSelectable:false` then it is selectable
-        if (info && info.isSelectable === false) {
-          return false;
-        } else {
-          return true;
-        }
+    _countDescendants(node: Object): number {
+      const counts = this._descendantCounts || (this._descendantCounts = new Map());
+      const cached = counts.get(node);
+      if (typeof cached === 'number') {
+        return cached;
       }
-      return null;
-    }
-
-    setSelectable(node: Object | null, isSelectable: boolean): boolean | null {
-      const _node = (node === null) ? this._rootNode : node;
-      if (_node && (_node.ROOT || this._tree.index(_node) > -1)) {
-        const info = this._node(_node);
-        info.isSelectable = isSelectable;
-        return isSelectable;
+      const children = this.getChildren(node) || [];
+      let count = 0;
+      for (let i=0; i<children.length; i++) {
+        count += 1 + this._countDescendants(children[i]);
       }
-      return null;
+      counts.set(node, count);
+      return count;
     }
 
-    static pathToRoute(path: Array<Object>, routeKey: string): Array<string|null> {
-      return path.map(p => typeof p[routeKey] === 'string' && p[routeKey].length ? p[routeKey] : null);
+    /**
+     * Returns every node in the view in depth-first order. Each node is only
+     * included once, even if it appears in more than one place.
+     *
+     * @return {Array<Object>}
+     */
+    getNodes(): Array<Object> {
+      return this._graph.filter(node => this.hasNode(node));
     }
   };
 
@@ -688,6 +3914,21 @@
   };
 
   const PxApp = window.PxApp = (window.PxApp || {});
+  const numbers = (value, childResults) => childResults.concat([value]).filter(v => typeof v === 'number' && !isNaN(v));
+  AssetGraph.reducers = {
+    sum: (value, childResults) => numbers(value, childResults).reduce((total, v) => total + v, 0),
+    max: (value, childResults) => {
+      const values = numbers(value, childResults);
+      return values.length ? Math.max(...values) : null;
+    },
+    min: (value, childResults) => {
+      const values = numbers(value, childResults);
+      return values.length ? Math.min(...values) : null;
+    },
+    count: (value, childResults) => childResults.reduce((total, v) => total + v, (value !== undefined && value !== null && value !== false) ? 1 : 0)
+  };
+
   PxApp.AssetGraph = AssetGraph;
+  PxApp.AssetGraphView = AssetGraphView;
   PxApp.assetGraph = assetGraph;
 })();
@@ -456,6 +456,84 @@ describe('PxAppBehavior.AssetActivatable', function () {
     });
   });
 
+  describe('activation constraints', function() {
+    beforeEach(function() {
+      fx = fixture('AssetActivatableFixture');
+      fx.multiActivate = true;
+      fx.items = data;
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('rejects items past `maxActive`', function() {
+      fx.maxActive = 1;
+      fx.activate([data[0].children[0], data[0].children[1]]);
+      expect(fx.active).to.eql([data[0].children[0]]);
+    });
+
+    it('rejects items when `canActivate` returns false', function(done) {
+      this.timeout(200);
+      var item = data[0].children[1];
+      fx.canActivate = function(item) {
+        return item.id !== 'ariz';
+      };
+      fx.addEventListener('px-app-asset-selection-rejected', function(evt) {
+        expect(evt.detail.item).to.equal(item);
+        expect(evt.detail.action).to.equal('activate');
+        expect(evt.detail.reason).to.equal('GUARD');
+        expect(fx.active).to.eql([]);
+        done();
+      });
+      fx.activate(item);
+    });
+
+    it('drops rejected items from `activeRoute`', function() {
+      fx.activatableDepths = [0];
+      fx.activeRoute = [['united-states'], ['united-states', 'calif']];
+      expect(fx.active).to.eql([data[0]]);
+      expect(fx.activeRoute).to.eql([['united-states']]);
+    });
+  });
+
+  describe('before events', function() {
+    beforeEach(function() {
+      fx = fixture('AssetActivatableFixture');
+      fx.multiActivate = false;
+      fx.items = data;
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('does not activate the item if the \'px-app-asset-before-activate\' event is canceled', function() {
+      var item = data[0].children[0];
+      fx.activate(item);
+      fx.addEventListener('px-app-asset-before-activate', function(evt) {
+        expect(evt.detail.previous).to.equal(item);
+        evt.preventDefault();
+      });
+      fx.activate(data[0].children[1]);
+      expect(fx.active).to.equal(item);
+      expect(fx.activeRoute).to.eql(['united-states', 'calif']);
+    });
+
+    it('does not deactivate the item if the \'px-app-asset-before-deactivate\' event is canceled', function() {
+      var item = data[0].children[0];
+      fx.activate(item);
+      fx.addEventListener('px-app-asset-before-deactivate', function(evt) {
+        evt.preventDefault();
+      });
+      fx.activeRoute = null;
+      expect(fx.active).to.equal(item);
+      expect(fx.activeRoute).to.eql(['united-states', 'calif']);
+    });
+  });
+
   describe('custom keys', function() {
     describe('[single activate]', function() {
       beforeEach(function() {
@@ -516,4 +594,42 @@ describe('PxAppBehavior.AssetActivatable', function () {
       });
     });
   });
+
+  describe('async routes', function() {
+    var lazyData;
+
+    beforeEach(function() {
+      lazyData = [{ id: 'site-1', label: 'Site 1' }];
+      fx = fixture('AssetActivatableFixture');
+      fx.asyncRoutes = true;
+      fx.loadChildren = function(item) {
+        if (item.id === 'site-1') {
+          return Promise.resolve([{ id: 'unit-1', label: 'Unit 1' }]);
+        }
+        return Promise.resolve([]);
+      };
+      fx.items = lazyData;
+    });
+
+    it('loads missing children before activateing an item by route', function(done) {
+      this.timeout(200);
+      fx.addEventListener('px-app-asset-activated', function(evt) {
+        expect(evt.detail.item.id).to.equal('unit-1');
+        expect(fx.active).to.equal(fx._assetGraph.getChildren(lazyData[0])[0]);
+        done();
+      });
+      fx.activeRoute = ['site-1', 'unit-1'];
+    });
+
+    it('fires a \'px-app-asset-route-not-found\' event if the route does not exist', function(done) {
+      this.timeout(200);
+      fx.addEventListener('px-app-asset-route-not-found', function(evt) {
+        expect(evt.detail.route).to.eql(['site-1', 'unit-2']);
+        expect(evt.detail.missing).to.equal('unit-2');
+        expect(evt.detail.parent).to.equal(lazyData[0]);
+        done();
+      });
+      fx.activeRoute = ['site-1', 'unit-2'];
+    });
+  });
 });
@@ -0,0 +1,292 @@
+/**
+ * @license
+ * Copyright (c) 2018, General Electric
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+describe('PxAppBehavior.AssetExpandable', function () {
+  var sandbox;
+  var fx;
+  var data = [
+    {
+      label: 'United States',
+      id: 'united-states',
+      children: [
+        {
+          label: 'California',
+          id: 'calif',
+          children: [
+            {
+              label: 'San Francisco',
+              id: 'sf'
+            },
+            {
+              label: 'Walnut Creek',
+              id: 'wc'
+            },
+            {
+              label: 'Sacramento',
+              id: 'sc'
+            }
+          ]
+        },
+        {
+          label: 'Arizona',
+          id: 'ariz'
+        },
+        {
+          label: 'Oregon',
+          id: 'oregon'
+        },
+        {
+          label: 'Washington',
+          id: 'wash'
+        }
+      ]
+    },
+    {
+      label: 'Canada',
+      id: 'canada'
+    }
+  ];
+  var customKeys = {
+    id: 'assetId',
+    label: 'assetName',
+    children: 'assetChildren'
+  };
+  var customKeysData = [
+    {
+      assetName: 'United States',
+      assetId: 'united-states',
+      assetChildren: [
+        {
+          assetName: 'California',
+          assetId: 'calif',
+          assetChildren: [
+            {
+              assetName: 'San Francisco',
+              assetId: 'sf'
+            }
+          ]
+        },
+        {
+          assetName: 'Arizona',
+          assetId: 'ariz'
+        }
+      ]
+    }
+  ];
+
+  before(function() {
+    // Create a stub for the expandable behavior
+    Polymer({
+      is: 'px-app-asset-expandable-stub',
+      behaviors: [PxAppBehavior.AssetGraph, PxAppBehavior.AssetExpandable]
+    });
+  });
+
+  describe('expand', function() {
+    beforeEach(function() {
+      fx = fixture('AssetExpandableFixture');
+      fx.items = data;
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('expands an item when `expand()` is called', function() {
+      var item = data[0];
+      fx.expand(item);
+      expect(fx.expanded).to.eql([item]);
+    });
+
+    it('expands multiple items when `expand()` is called with an array of items', function() {
+      fx.expand([data[0], data[0].children[0]]);
+      expect(fx.expanded).to.eql([data[0], data[0].children[0]]);
+    });
+
+    it('does not expand an item that is already expanded', function() {
+      fx.expand(data[0]);
+      fx.expand(data[0]);
+      expect(fx.expanded.length).to.equal(1);
+    });
+
+    it('throws an error when `expand()` is called with an item not in the graph', function() {
+      var err;
+      try {
+        fx.expand({id:'uk', label:'United Kingdom'});
+      }
+      catch (e) {
+        err = e;
+      }
+      expect(err).to.be.instanceOf(Error);
+    });
+
+    it('collapses an item when `collapse()` is called with the item', function() {
+      fx.expand([data[0], data[0].children[0]]);
+      fx.collapse(data[0]);
+      expect(fx.expanded).to.eql([data[0].children[0]]);
+    });
+
+    it('collapses all items when `collapse()` is called with null', function() {
+      fx.expand([data[0], data[0].children[0]]);
+      fx.collapse(null);
+      expect(fx.expanded).to.eql([]);
+    });
+
+    it('expands every item with children when `expandAll()` is called', function() {
+      fx.expandAll();
+      expect(fx.expanded).to.eql([data[0], data[0].children[0]]);
+    });
+
+    it('only expands the subtree when `expandAll()` is called with an item', function() {
+      fx.expandAll(data[0].children[0]);
+      expect(fx.expanded).to.eql([data[0].children[0]]);
+    });
+
+    it('shows the items down to a depth when `collapseTo()` is called', function() {
+      fx.expandAll();
+      fx.collapseTo(1);
+      expect(fx.expanded).to.eql([data[0]]);
+      fx.collapseTo(0);
+      expect(fx.expanded).to.eql([]);
+    });
+
+    it('updates the `expandedRoute` when an item is expanded', function() {
+      fx.expand([data[0], data[0].children[0]]);
+      expect(fx.expandedRoute).to.eql([['united-states'], ['united-states', 'calif']]);
+    });
+
+    it('updates the `expandedMeta` when an item is expanded', function() {
+      var item = data[0].children[0];
+      fx.expand(item);
+      expect(fx.expandedMeta.length).to.equal(1);
+      expect(fx.expandedMeta[0].item).to.equal(item);
+      expect(fx.expandedMeta[0].route).to.eql(['united-states', 'calif']);
+      expect(fx.expandedMeta[0].parent).to.equal(data[0]);
+    });
+
+    it('expands items by route when `expandedRoute` changes', function() {
+      fx.expandedRoute = [['united-states'], ['united-states', 'calif']];
+      expect(fx.expanded).to.eql([data[0], data[0].children[0]]);
+      fx.expandedRoute = [['united-states']];
+      expect(fx.expanded).to.eql([data[0]]);
+    });
+
+    it('expands and collapses items by event', function() {
+      var item = data[0];
+      fx.fire('px-app-asset-should-be-expanded', {item:item});
+      expect(fx.expanded).to.eql([item]);
+      fx.fire('px-app-asset-should-be-collapsed', {item:item});
+      expect(fx.expanded).to.eql([]);
+    });
+
+    it('fires a \'px-app-asset-expanded\' event with the source', function(done) {
+      this.timeout(200);
+      var item = data[0];
+      fx.addEventListener('px-app-asset-expanded', function(evt) {
+        expect(evt.detail.item).to.equal(item);
+        expect(evt.detail.source).to.equal('DOM_EVENT');
+        expect(evt.detail.route).to.eql(['united-states']);
+        done();
+      });
+      fx.fire('px-app-asset-should-be-expanded', {item:item});
+    });
+
+    it('fires a \'px-app-asset-collapsed\' event with the source', function(done) {
+      this.timeout(200);
+      var item = data[0];
+      fx.expand(item);
+      fx.addEventListener('px-app-asset-collapsed', function(evt) {
+        expect(evt.detail.item).to.equal(item);
+        expect(evt.detail.source).to.equal('METHOD');
+        done();
+      });
+      fx.collapse(item);
+    });
+
+    it('returns the rows for the expanded items with `getVisibleRows()`', function() {
+      fx.expand(data[0]);
+      var rows = fx.getVisibleRows().map(function(row) { return row.item.id; });
+      expect(rows).to.eql(['united-states', 'calif', 'ariz', 'oregon', 'wash', 'canada']);
+    });
+
+    it('updates the rows when `expanded` is set directly', function() {
+      fx.expanded = [data[0], data[0].children[0]];
+      expect(fx.expandedRoute).to.eql([['united-states'], ['united-states', 'calif']]);
+      expect(fx.getVisibleRows().length).to.equal(9);
+    });
+
+    it('collapses items that are removed from the graph', function() {
+      fx.expand([data[0], data[0].children[0]]);
+      fx.removeChildren(data[0], data[0].children[0]);
+      expect(fx.expanded).to.eql([data[0]]);
+    });
+
+    it('collapses all items when `items` is re-assigned', function() {
+      var newData = JSON.parse(JSON.stringify(data));
+      fx.expand([data[0], data[0].children[0]]);
+      fx.items = newData;
+      expect(fx.expanded).to.eql([]);
+      expect(fx.expandedRoute).to.eql([]);
+      fx.expand(newData[0]);
+      expect(fx.expanded).to.eql([newData[0]]);
+      expect(fx.expandedRoute).to.eql([['united-states']]);
+    });
+
+    it('updates `expandedRoute` once when `expandAll()` expands a large tree', function() {
+      var makeTree = function(prefix, depth) {
+        var children = [];
+        for (var i=0; i<10; i++) {
+          var child = {id: prefix + '-' + i, label: prefix + '-' + i};
+          if (depth > 1) {
+            child.children = makeTree(child.id, depth - 1);
+          }
+          children.push(child);
+        }
+        return children;
+      };
+      fx.items = makeTree('node', 4);
+      var spy = sandbox.spy(fx, '_expandedRouteChanged');
+      fx.expandAll();
+      var updates = spy.args.filter(function(args) { return args[0].path === 'expandedRoute'; });
+      expect(updates.length).to.equal(1);
+      expect(fx.expanded.length).to.equal(1110);
+      expect(fx.expandedRoute.length).to.equal(1110);
+      expect(fx.getVisibleRows().length).to.equal(11110);
+    });
+  });
+
+  describe('custom keys', function() {
+    beforeEach(function() {
+      fx = fixture('AssetExpandableFixture');
+      fx.keys = customKeys;
+      fx.items = customKeysData;
+    });
+
+    it('expands items by route when `expandedRoute` changes', function() {
+      var item1 = customKeysData[0];
+      var item2 = customKeysData[0].assetChildren[0];
+      fx.expandedRoute = [['united-states'], ['united-states', 'calif']];
+      expect(fx.expanded).to.eql([item1, item2]);
+    });
+
+    it('adds a newly expanded item\'s route to the `expandedRoute` array', function() {
+      fx.expand(customKeysData[0].assetChildren[0]);
+      expect(fx.expandedRoute).to.eql([['united-states', 'calif']]);
+    });
+  });
+});
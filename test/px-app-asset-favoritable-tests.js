@@ -0,0 +1,303 @@
+/**
+ * @license
+ * Copyright (c) 2018, General Electric
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+describe('PxAppBehavior.AssetFavoritable', function () {
+  var sandbox;
+  var fx;
+  var data = [
+    {
+      label: 'United States',
+      id: 'united-states',
+      children: [
+        {
+          label: 'California',
+          id: 'calif'
+        },
+        {
+          label: 'Arizona',
+          id: 'ariz'
+        }
+      ]
+    },
+    {
+      label: 'Canada',
+      id: 'canada'
+    }
+  ];
+
+  before(function() {
+    // Create a stub for the favoritable behavior
+    Polymer({
+      is: 'px-app-asset-favoritable-stub',
+      behaviors: [PxAppBehavior.AssetGraph, PxAppBehavior.AssetFavoritable]
+    });
+  });
+
+  describe('favoriting constraints', function() {
+    beforeEach(function() {
+      fx = fixture('AssetFavoritableFixture');
+      fx.items = data;
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('rejects items past `maxFavorited`', function(done) {
+      this.timeout(200);
+      var item = data[0].children[1];
+      fx.maxFavorited = 1;
+      fx.favorite(data[0].children[0]);
+      fx.addEventListener('px-app-asset-selection-rejected', function(evt) {
+        expect(evt.detail.item).to.equal(item);
+        expect(evt.detail.action).to.equal('favorite');
+        expect(evt.detail.reason).to.equal('MAX_REACHED');
+        expect(fx.favorited).to.eql([data[0].children[0]]);
+        expect(fx.favoritedRoute).to.eql([['united-states', 'calif']]);
+        done();
+      });
+      fx.favorite(item);
+    });
+
+    it('rejects items when `canFavorite` returns false', function() {
+      fx.canFavorite = function(item) {
+        return item.id !== 'ariz';
+      };
+      fx.favorite([data[0].children[0], data[0].children[1]]);
+      expect(fx.favorited).to.eql([data[0].children[0]]);
+    });
+
+    it('drops rejected items from `favoritedRoute`', function() {
+      fx.favoritableDepths = [0];
+      fx.favoritedRoute = [['united-states'], ['united-states', 'calif']];
+      expect(fx.favorited).to.eql([data[0]]);
+      expect(fx.favoritedRoute).to.eql([['united-states']]);
+    });
+  });
+
+  describe('before events', function() {
+    beforeEach(function() {
+      fx = fixture('AssetFavoritableFixture');
+      fx.items = data;
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('does not favorite the item if the \'px-app-asset-before-favorite\' event is canceled', function() {
+      var item = data[0].children[0];
+      fx.favorite(item);
+      fx.addEventListener('px-app-asset-before-favorite', function(evt) {
+        expect(evt.detail.item).to.equal(data[1]);
+        expect(evt.detail.previous).to.eql([item]);
+        evt.preventDefault();
+      });
+      fx.favorite(data[1]);
+      expect(fx.favorited).to.eql([item]);
+      expect(fx.favoritedRoute).to.eql([['united-states', 'calif']]);
+    });
+
+    it('does not defavorite the item if the \'px-app-asset-before-defavorite\' event is canceled', function() {
+      var item = data[0].children[0];
+      fx.favorite(item);
+      fx.addEventListener('px-app-asset-before-defavorite', function(evt) {
+        evt.preventDefault();
+      });
+      fx.defavorite(item);
+      expect(fx.favorited).to.eql([item]);
+      expect(fx.favoritedRoute).to.eql([['united-states', 'calif']]);
+    });
+
+    it('makes a canceled favorite later when `detail.resume()` is called', function(done) {
+      this.timeout(200);
+      var item = data[0].children[1];
+      var listener = sandbox.spy(function(evt) {
+        evt.preventDefault();
+        setTimeout(evt.detail.resume, 10);
+      });
+      fx.addEventListener('px-app-asset-before-favorite', listener);
+      fx.addEventListener('px-app-asset-favorited', function(evt) {
+        expect(evt.detail.item).to.equal(item);
+        expect(fx.favorited).to.eql([item]);
+        expect(listener.callCount).to.equal(1);
+        done();
+      });
+      fx.favorite(item);
+      expect(fx.favorited).to.eql([]);
+    });
+
+    it('makes a canceled defavorite later when `detail.resume()` is called', function(done) {
+      this.timeout(200);
+      var item = data[0].children[1];
+      fx.favorite(item);
+      var listener = sandbox.spy(function(evt) {
+        evt.preventDefault();
+        setTimeout(evt.detail.resume, 10);
+      });
+      fx.addEventListener('px-app-asset-before-defavorite', listener);
+      fx.addEventListener('px-app-asset-defavorited', function(evt) {
+        expect(evt.detail.item).to.equal(item);
+        expect(fx.favorited).to.eql([]);
+        expect(listener.callCount).to.equal(1);
+        done();
+      });
+      fx.defavorite(item);
+      expect(fx.favorited).to.eql([item]);
+    });
+  });
+
+  describe('persisted favorites', function() {
+    var storage;
+
+    beforeEach(function() {
+      fx = fixture('AssetFavoritableFixture');
+      sandbox = sinon.sandbox.create();
+      storage = {
+        routes: [['united-states', 'ariz']],
+        load: function() {
+          return Promise.resolve(this.routes);
+        },
+        save: function(key, routes) {
+          this.routes = routes;
+        }
+      };
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('restores the favorites from `favoritesStorage` when the graph is created', function(done) {
+      this.timeout(200);
+      fx.addEventListener('px-app-asset-favorited', function(evt) {
+        expect(evt.detail.item).to.equal(data[0].children[1]);
+        expect(evt.detail.source).to.equal('STORAGE');
+        expect(fx.favoritedRoute).to.eql([['united-states', 'ariz']]);
+        done();
+      });
+      fx.favoritesStorage = storage;
+      fx.items = data;
+    });
+
+    it('loads the favorites with `favoritesStorageKey`', function() {
+      var load = sandbox.spy(storage, 'load');
+      fx.favoritesStorageKey = 'user-1-favorites';
+      fx.favoritesStorage = storage;
+      fx.items = data;
+      return Promise.resolve().then(function() {
+        expect(load.calledWith('user-1-favorites')).to.equal(true);
+      });
+    });
+
+    it('saves the favorites when they change', function(done) {
+      this.timeout(200);
+      var save = sandbox.spy(storage, 'save');
+      fx.favoritesStorage = storage;
+      fx.items = data;
+      setTimeout(function() {
+        fx.favorite(data[1]);
+        setTimeout(function() {
+          expect(save.lastCall.args[0]).to.equal('px-app-asset-favorites');
+          expect(save.lastCall.args[1]).to.eql([['united-states', 'ariz'], ['canada']]);
+          done();
+        }, 20);
+      }, 20);
+    });
+
+    it('restores favorites whose items are added later', function(done) {
+      this.timeout(200);
+      storage.routes = [['canada', 'ontario']];
+      fx.favoritesStorage = storage;
+      fx.items = data;
+      setTimeout(function() {
+        expect(fx.favorited).to.eql([]);
+        var ontario = {label: 'Ontario', id: 'ontario'};
+        fx.addChildren(data[1], ontario);
+        expect(fx.favorited).to.eql([ontario]);
+        done();
+      }, 20);
+    });
+
+    it('keeps the routes to items that are not loaded yet when saving', function(done) {
+      this.timeout(200);
+      storage.routes = [['canada', 'ontario']];
+      fx.favoritesStorage = storage;
+      fx.items = data;
+      setTimeout(function() {
+        fx.favorite(data[0]);
+        setTimeout(function() {
+          expect(storage.routes).to.eql([['united-states'], ['canada', 'ontario']]);
+          done();
+        }, 20);
+      }, 20);
+    });
+
+    it('does not save the favorites if they could not be loaded', function(done) {
+      this.timeout(200);
+      var save = sandbox.spy(storage, 'save');
+      storage.load = function() {
+        return Promise.reject(new Error('Offline'));
+      };
+      fx.addEventListener('px-app-asset-favorites-storage-error', function(evt) {
+        expect(evt.detail.operation).to.equal('load');
+        expect(evt.detail.error.message).to.equal('Offline');
+        fx.favorite(data[1]);
+        setTimeout(function() {
+          expect(save.callCount).to.equal(0);
+          done();
+        }, 20);
+      });
+      fx.favoritesStorage = storage;
+      fx.items = data;
+    });
+
+    it('stores the favorites as JSON with `PxApp.LocalStorageFavoritesAdapter`', function() {
+      var values = {};
+      var adapter = new PxApp.LocalStorageFavoritesAdapter({
+        getItem: function(key) { return values.hasOwnProperty(key) ? values[key] : null; },
+        setItem: function(key, value) { values[key] = value; }
+      });
+      return adapter.save('favorites', [['canada']]).then(function() {
+        expect(values.favorites).to.equal('[["canada"]]');
+        return adapter.load('favorites');
+      }).then(function(routes) {
+        expect(routes).to.eql([['canada']]);
+        return adapter.load('other');
+      }).then(function(routes) {
+        expect(routes).to.eql([]);
+      });
+    });
+
+    it('adds the store of each `PxApp.IndexedDBFavoritesAdapter` that shares a database', function() {
+      var dbName = 'px-app-asset-test-' + Date.now();
+      var first = new PxApp.IndexedDBFavoritesAdapter(dbName, 'first');
+      var second = new PxApp.IndexedDBFavoritesAdapter(dbName, 'second');
+      return first.save('favorites', [['canada']]).then(function() {
+        return second.save('favorites', [['united-states']]);
+      }).then(function() {
+        return Promise.all([first.load('favorites'), second.load('favorites')]);
+      }).then(function(results) {
+        expect(results[0]).to.eql([['canada']]);
+        expect(results[1]).to.eql([['united-states']]);
+        window.indexedDB.deleteDatabase(dbName);
+      });
+    });
+  });
+});
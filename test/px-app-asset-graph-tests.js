@@ -267,6 +267,1375 @@ describe('PxAppBehavior.AssetGraph', function () {
       fx.removeChildren(null, ancestor);
       expect(fx.active).to.equal(null);
     });
+
+    it('returns every item removed with `removeChildren`, including descendants', function() {
+      var removed = fx.removeChildren(data[0], data[0].children[0]);
+      expect(removed.map(function(item) { return item.id; })).to.eql(['calif', 'sf', 'wc', 'sc']);
+      expect(fx._assetGraph.hasNode(data[0].children[0].children[0])).to.equal(false);
+    });
+
+    it('only deselects the removed items in multi-select mode', function() {
+      fx.multiSelect = true;
+      var kept = data[0].children[1];
+      fx.select([data[0].children[0].children[0], data[0].children[0], kept]);
+      fx.removeChildren(data[0], data[0].children[0]);
+      expect(fx.selected).to.eql([kept]);
+    });
+
+    it('does not change the state of items outside the removed subtree', function() {
+      var item = data[0].children[1];
+      fx.select(item);
+      fx.activate(item);
+      fx.removeChildren(data[0], data[0].children[0]);
+      expect(fx.selected).to.equal(item);
+      expect(fx.active).to.equal(item);
+    });
+
+    it('fires one \'px-app-asset-removed\' event listing the items that lost their state', function() {
+      var spy = sandbox.spy();
+      var calif = data[0].children[0];
+      fx.select(calif.children[1]);
+      fx.activate(calif);
+      fx.addEventListener('px-app-asset-removed', spy);
+      fx.removeChildren(data[0], calif);
+      expect(spy.callCount).to.equal(1);
+      var detail = spy.firstCall.args[0].detail;
+      expect(detail.item).to.equal(data[0]);
+      expect(detail.children).to.eql([calif]);
+      expect(detail.removed.length).to.equal(4);
+      expect(detail.deselected).to.eql([calif.children[1]]);
+      expect(detail.deactivated).to.eql([calif]);
+      expect(detail.defavorited).to.eql([]);
+    });
+  });
+
+  describe('[reconciling items]', function() {
+    function makeItems(label) {
+      return [
+        { id: 'site-1', label: label, children: [
+          { id: 'unit-1', label: 'Unit 1', children: [{ id: 'pump-1', label: 'Pump 1' }] },
+          { id: 'unit-2', label: 'Unit 2' }
+        ] },
+        { id: 'site-2', label: 'Site 2' }
+      ];
+    }
+
+    beforeEach(function() {
+      fx = fixture('AssetGraphFixtureSelectActivate');
+      fx.reconcileItems = true;
+      fx.items = makeItems('Site 1');
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('keeps the same graph when `items` is reassigned', function() {
+      var graph = fx._assetGraph;
+      var newItems = makeItems('Site One');
+      fx.items = newItems;
+      expect(fx._assetGraph).to.equal(graph);
+      expect(fx._assetGraph.getNodeById('site-1')).to.equal(newItems[0]);
+      expect(fx._assetGraph.getNodeById('pump-1')).to.equal(newItems[0].children[0].children[0]);
+    });
+
+    it('adds and removes items that changed when `items` is reassigned', function() {
+      var newItems = makeItems('Site 1');
+      newItems[0].children.splice(1, 1);
+      newItems.push({ id: 'site-3', label: 'Site 3' });
+      fx.items = newItems;
+      expect(fx._assetGraph.getNodeById('unit-2')).to.equal(null);
+      expect(fx._assetGraph.getNodeById('site-3')).to.equal(newItems[2]);
+      expect(fx.__rootItems.length).to.equal(3);
+    });
+
+    it('keeps the selected and active items if their IDs survive', function() {
+      var selectedSpy = sandbox.spy();
+      fx.select(fx.items[0].children[0].children[0]);
+      fx.activate(fx.items[0].children[0]);
+      fx.addEventListener('px-app-asset-deselected', selectedSpy);
+      var newItems = makeItems('Site One');
+      fx.items = newItems;
+      expect(fx.selected).to.equal(newItems[0].children[0].children[0]);
+      expect(fx.selectedRoute).to.eql(['site-1', 'unit-1', 'pump-1']);
+      expect(fx.selectedMeta.path[0].label).to.equal('Site One');
+      expect(fx.active).to.equal(newItems[0].children[0]);
+      expect(selectedSpy).to.not.have.been.called;
+    });
+
+    it('deselects the selected item if it is removed', function() {
+      fx.select(fx.items[0].children[1]);
+      var newItems = makeItems('Site 1');
+      newItems[0].children.splice(1, 1);
+      fx.items = newItems;
+      expect(fx.selected).to.equal(null);
+      expect(fx.selectedRoute).to.equal(null);
+    });
+
+    it('keeps an item moved to a parent that comes later when `items` is reassigned', function() {
+      var deselectedSpy = sandbox.spy();
+      fx.select(fx.items[0].children[0].children[0]);
+      fx.addEventListener('px-app-asset-deselected', deselectedSpy);
+      var reconciledSpy = sandbox.spy();
+      fx.addEventListener('px-app-asset-graph-reconciled', reconciledSpy);
+      var newItems = makeItems('Site 1');
+      newItems[1].children = [newItems[0].children.shift()];
+      fx.items = newItems;
+      var unit = newItems[1].children[0];
+      expect(fx._assetGraph.getParent(unit)).to.equal(newItems[1]);
+      expect(fx._assetGraph.getChildren(newItems[0])).to.eql([newItems[0].children[0]]);
+      expect(fx.selected).to.equal(unit.children[0]);
+      expect(fx.selectedRoute).to.eql(['site-2', 'unit-1', 'pump-1']);
+      expect(reconciledSpy.firstCall.args[0].detail.removed).to.eql([]);
+      expect(deselectedSpy).to.not.have.been.called;
+    });
+
+    it('keeps an item moved to a parent that comes earlier when `items` is reassigned', function() {
+      var items = makeItems('Site 1');
+      items[1].children = [{ id: 'unit-3', label: 'Unit 3' }];
+      fx.items = items;
+      fx.select(items[1].children[0]);
+      var deselectedSpy = sandbox.spy();
+      fx.addEventListener('px-app-asset-deselected', deselectedSpy);
+      var reconciledSpy = sandbox.spy();
+      fx.addEventListener('px-app-asset-graph-reconciled', reconciledSpy);
+      var newItems = makeItems('Site 1');
+      newItems[1].children = [];
+      newItems[0].children.push({ id: 'unit-3', label: 'Unit 3' });
+      fx.items = newItems;
+      var unit = newItems[0].children[2];
+      expect(fx._assetGraph.getParent(unit)).to.equal(newItems[0]);
+      expect(fx._assetGraph.getChildren(newItems[1])).to.eql([]);
+      expect(fx.selected).to.equal(unit);
+      expect(fx.selectedRoute).to.eql(['site-1', 'unit-3']);
+      expect(reconciledSpy.firstCall.args[0].detail.removed).to.eql([]);
+      expect(deselectedSpy).to.not.have.been.called;
+    });
+
+    it('fires a \'px-app-asset-graph-reconciled\' event when `items` is reassigned', function(done) {
+      this.timeout(200);
+      var oldItems = fx.items;
+      var newItems = makeItems('Site 1');
+      newItems.pop();
+      fx.addEventListener('px-app-asset-graph-reconciled', function(evt) {
+        expect(evt.detail.removed).to.eql([oldItems[1]]);
+        expect(evt.detail.updated.get(oldItems[0])).to.equal(newItems[0]);
+        done();
+      });
+      fx.items = newItems;
+    });
+  });
+
+  describe('[moving and sorting items]', function() {
+    var moveData;
+
+    beforeEach(function() {
+      moveData = [
+        { id: 'site-1', label: 'Site 1', children: [
+          { id: 'unit-1', label: 'Unit 1', children: [{ id: 'pump-1', label: 'Pump 1' }] },
+          { id: 'unit-2', label: 'Unit 2' }
+        ] },
+        { id: 'site-2', label: 'Site 2', children: [{ id: 'unit-3', label: 'Unit 3' }] }
+      ];
+      fx = fixture('AssetGraphFixtureSelectActivate');
+      fx.items = moveData;
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('inserts new items at an index with `insertChildren`', function() {
+      var children = [{ id: 'unit-a', label: 'Unit A' }, { id: 'unit-b', label: 'Unit B' }];
+      fx.insertChildren(moveData[0], children, 1);
+      var parentChildren = fx._assetGraph.getChildren(moveData[0]);
+      expect(parentChildren).to.eql([moveData[0].children[0], children[0], children[1], moveData[0].children[1]]);
+    });
+
+    it('inserts new items at the root of the graph with `insertChildren`', function() {
+      var child = { id: 'site-0', label: 'Site 0' };
+      fx.insertChildren(null, child, 0);
+      expect(fx._assetGraph.getRootChildren()[0]).to.equal(child);
+      expect(fx.__rootItems[0]).to.equal(child);
+    });
+
+    it('moves an item to a new parent with `moveNode`', function() {
+      var unit = moveData[0].children[0];
+      fx.moveNode(unit, moveData[1], 0);
+      expect(fx._assetGraph.getChildren(moveData[0])).to.eql([moveData[0].children[1]]);
+      expect(fx._assetGraph.getChildren(moveData[1])[0]).to.equal(unit);
+      expect(fx._assetGraph.getRoute(unit.children[0])).to.eql(['site-2', 'unit-1', 'pump-1']);
+    });
+
+    it('reorders an item within its parent with `moveNode`', function() {
+      var unit = moveData[0].children[1];
+      fx.moveNode(unit, moveData[0], 0);
+      expect(fx._assetGraph.getChildren(moveData[0])[0]).to.equal(unit);
+    });
+
+    it('throws if an item is moved into one of its descendants', function() {
+      expect(function() {
+        fx.moveNode(moveData[0], moveData[0].children[0]);
+      }).to.throw();
+    });
+
+    it('fires a \'px-app-asset-moved\' event when an item is moved', function(done) {
+      this.timeout(200);
+      var unit = moveData[0].children[0];
+      fx.addEventListener('px-app-asset-moved', function(evt) {
+        expect(evt.detail.item).to.equal(unit);
+        expect(evt.detail.oldParent).to.equal(moveData[0]);
+        expect(evt.detail.parent).to.equal(moveData[1]);
+        expect(evt.detail.oldRoute).to.eql(['site-1', 'unit-1']);
+        expect(evt.detail.route).to.eql(['site-2', 'unit-1']);
+        expect(evt.detail.index).to.equal(1);
+        done();
+      });
+      fx.moveNode(unit, moveData[1]);
+    });
+
+    it('updates the `selectedRoute` when the selected item\'s ancestor is moved', function() {
+      var pump = moveData[0].children[0].children[0];
+      fx.select(pump);
+      fx.moveNode(moveData[0].children[0], moveData[1]);
+      expect(fx.selected).to.equal(pump);
+      expect(fx.selectedRoute).to.eql(['site-2', 'unit-1', 'pump-1']);
+      expect(fx.selectedMeta.path).to.eql([moveData[1], moveData[0].children[0], pump]);
+    });
+
+    it('updates the `activeRoute` when the active item is moved', function() {
+      var unit = moveData[0].children[0];
+      fx.activate(unit);
+      fx.moveNode(unit, null);
+      expect(fx.activeRoute).to.eql(['unit-1']);
+    });
+
+    it('sorts the children of an item with `sortChildren`', function() {
+      fx.sortChildren(moveData[0], function(a, b) {
+        return b.label.localeCompare(a.label);
+      });
+      var parentChildren = fx._assetGraph.getChildren(moveData[0]);
+      expect(parentChildren[0].id).to.equal('unit-2');
+      expect(parentChildren[1].id).to.equal('unit-1');
+    });
+  });
+
+  describe('[multiple parents]', function() {
+    var dagData;
+    var pump;
+
+    beforeEach(function() {
+      pump = { id: 'pump-1', label: 'Pump 1', children: [{ id: 'motor-1', label: 'Motor 1' }] };
+      dagData = [
+        { id: 'site-1', label: 'Site 1', children: [pump] },
+        { id: 'zone-1', label: 'Maintenance Zone 1', children: [pump] }
+      ];
+      fx = fixture('AssetGraphFixtureSelectActivate');
+      fx.allowMultipleParents = true;
+      fx.items = dagData;
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('adds an item under each of its parents', function() {
+      expect(fx._assetGraph.getChildren(dagData[0])).to.eql([pump]);
+      expect(fx._assetGraph.getChildren(dagData[1])).to.eql([pump]);
+      expect(fx._assetGraph.getParents(pump)).to.eql([dagData[0], dagData[1]]);
+      expect(fx._assetGraph.getParent(pump)).to.equal(dagData[0]);
+    });
+
+    it('returns every route to an item with `getRoutes`', function() {
+      var motor = pump.children[0];
+      expect(fx._assetGraph.getRoutes(motor)).to.eql([['site-1', 'pump-1', 'motor-1'], ['zone-1', 'pump-1', 'motor-1']]);
+      expect(fx._assetGraph.getPaths(motor)[1]).to.eql([dagData[1], pump, motor]);
+      expect(fx._assetGraph.getRoute(motor)).to.eql(['site-1', 'pump-1', 'motor-1']);
+    });
+
+    it('finds an item at each of its routes', function() {
+      expect(fx._assetGraph.getNodeAtRoute(['site-1', 'pump-1'])).to.equal(pump);
+      expect(fx._assetGraph.getNodeAtRoute(['zone-1', 'pump-1'])).to.equal(pump);
+      expect(fx._assetGraph.getInfoAtRoute(['zone-1', 'pump-1']).parent).to.equal(dagData[1]);
+    });
+
+    it('only includes an item once in `getDescendants`', function() {
+      expect(fx._assetGraph.getDescendants(null).length).to.equal(4);
+    });
+
+    it('adds new children under every place their parent appears', function() {
+      var valve = { id: 'valve-1', label: 'Valve 1' };
+      fx.addChildren(pump, valve);
+      expect(fx._assetGraph.getRoutes(valve)).to.eql([['site-1', 'pump-1', 'valve-1'], ['zone-1', 'pump-1', 'valve-1']]);
+    });
+
+    it('keeps an item that is still under another parent when it is removed from one', function() {
+      fx.removeChildren(dagData[0], pump);
+      expect(fx._assetGraph.hasNode(pump)).to.equal(true);
+      expect(fx._assetGraph.getRoutes(pump.children[0])).to.eql([['zone-1', 'pump-1', 'motor-1']]);
+    });
+
+    it('throws if an item is added under one of its descendants', function() {
+      expect(function() {
+        fx.addChildren(pump.children[0], pump);
+      }).to.throw();
+    });
+
+    it('throws if an item is added twice when multiple parents are not allowed', function() {
+      var graph = PxApp.assetGraph();
+      var item = { id: 'a' };
+      graph.addChildren(null, [item, { id: 'b' }]);
+      expect(function() {
+        graph.addChildren(graph.getNodeById('b'), item);
+      }).to.throw();
+    });
+
+    it('selects an item in the place chosen by `selectedRoute`', function() {
+      fx.selectedRoute = ['zone-1', 'pump-1'];
+      expect(fx.selected).to.equal(pump);
+      expect(fx.selectedRoute).to.eql(['zone-1', 'pump-1']);
+      expect(fx.selectedMeta.parent).to.equal(dagData[1]);
+    });
+
+    it('selects an item in the first place it was added with `select`', function() {
+      fx.select(pump);
+      expect(fx.selectedRoute).to.eql(['site-1', 'pump-1']);
+      expect(fx.selectedMeta.parent).to.equal(dagData[0]);
+    });
+
+    it('restores the shared items of a graph serialized with `JSON.stringify`', function() {
+      var graph = PxApp.AssetGraph.fromJSON(JSON.parse(JSON.stringify(fx._assetGraph)));
+      var restored = graph.getNodeById('pump-1');
+      expect(graph.getNodeAtRoute(['zone-1', 'pump-1'])).to.equal(restored);
+      expect(graph.getRoutes(restored).length).to.equal(2);
+    });
+  });
+
+  describe('[shared items]', function() {
+    var sharedData;
+    var other;
+
+    beforeEach(function() {
+      sharedData = [
+        { id: 'site-1', label: 'Site 1', children: [
+          { id: 'unit-1', label: 'Unit 1', isExhausted: true },
+          { id: 'unit-2', label: 'Unit 2' }
+        ] },
+        { id: 'site-2', label: 'Site 2' }
+      ];
+      fx = fixture('AssetGraphFixtureSelectActivate');
+      other = fixture('AssetGraphFixture');
+      fx.items = sharedData;
+      other.items = sharedData;
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('builds independent graphs from the same items', function() {
+      other.removeChildren(sharedData[0], sharedData[0].children[1]);
+      other.moveNode(sharedData[1], sharedData[0], 0);
+      expect(fx._assetGraph.getChildren(sharedData[0])).to.eql(sharedData[0].children);
+      expect(fx._assetGraph.getRoute(sharedData[1])).to.eql(['site-2']);
+      expect(other._assetGraph.getRoute(sharedData[1])).to.eql(['site-1', 'site-2']);
+    });
+
+    it('keeps separate flags for each graph', function() {
+      other._assetGraph.setExhausted(sharedData[0].children[0], false);
+      other._assetGraph.setTerminal(sharedData[1], true);
+      expect(fx._assetGraph.isExhausted(sharedData[0].children[0])).to.equal(true);
+      expect(fx._assetGraph.isTerminal(sharedData[1])).to.equal(false);
+    });
+
+    it('does not add any properties to the items', function() {
+      expect(Object.getOwnPropertySymbols(sharedData[0]).length).to.equal(0);
+      expect(Object.keys(sharedData[0])).to.eql(['id', 'label', 'children']);
+    });
+
+    it('builds a graph from frozen items', function() {
+      var frozen = Object.freeze([Object.freeze({ id: 'a', label: 'A', children: Object.freeze([Object.freeze({ id: 'b', label: 'B' })]) })]);
+      fx.items = frozen;
+      fx.select(frozen[0].children[0]);
+      expect(fx.selectedRoute).to.eql(['a', 'b']);
+    });
+  });
+
+  describe('[updating items]', function() {
+    var updateData;
+
+    beforeEach(function() {
+      updateData = [
+        { id: 'site-1', label: 'Site 1', children: [
+          { id: 'unit-1', label: 'Unit 1', children: [{ id: 'pump-1', label: 'Pump 1' }] }
+        ] }
+      ];
+      fx = fixture('AssetGraphFixtureSelectActivate');
+      fx.items = updateData;
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('changes the fields of an item with `updateNode`', function() {
+      var unit = updateData[0].children[0];
+      var changes = fx._assetGraph.updateNode(unit, { label: 'Unit A', id: 'unit-1' });
+      expect(unit.label).to.equal('Unit A');
+      expect(changes).to.eql({ label: { value: 'Unit A', oldValue: 'Unit 1' } });
+    });
+
+    it('indexes an item by its new ID', function() {
+      var unit = updateData[0].children[0];
+      fx.updateNode(unit, { id: 'unit-a' });
+      expect(fx._assetGraph.getNodeById('unit-1')).to.equal(null);
+      expect(fx._assetGraph.getNodeById('unit-a')).to.equal(unit);
+      expect(fx._assetGraph.getRoute(unit.children[0])).to.eql(['site-1', 'unit-a', 'pump-1']);
+    });
+
+    it('updates the flags of an item', function() {
+      var pump = updateData[0].children[0].children[0];
+      fx.updateNode(pump, { isTerminal: true });
+      expect(fx._assetGraph.isTerminal(pump)).to.equal(true);
+    });
+
+    it('updates the selected and active routes when an ID changes', function() {
+      var unit = updateData[0].children[0];
+      fx.activate(unit);
+      fx.select(unit.children[0]);
+      fx.updateNode(unit, { id: 'unit-a' });
+      expect(fx.activeRoute).to.eql(['site-1', 'unit-a']);
+      expect(fx.selectedRoute).to.eql(['site-1', 'unit-a', 'pump-1']);
+      expect(fx.selectedMeta.route).to.eql(['site-1', 'unit-a', 'pump-1']);
+    });
+
+    it('notifies the index path of an updated item in multi-select mode', function() {
+      var unit = updateData[0].children[0];
+      fx.multiSelect = true;
+      fx.select([updateData[0], unit]);
+      var spy = sandbox.spy(fx, 'notifyPath');
+      fx.updateNode(unit, { label: 'Unit A' });
+      expect(spy.calledWith('selected.1.label', 'Unit A')).to.equal(true);
+      expect(fx.get('selected.1.label')).to.equal('Unit A');
+    });
+
+    it('fires a \'px-app-asset-updated\' event with the changed fields', function(done) {
+      this.timeout(200);
+      var pump = updateData[0].children[0].children[0];
+      fx.addEventListener('px-app-asset-updated', function(evt) {
+        expect(evt.detail.item).to.equal(pump);
+        expect(evt.detail.changes.id).to.eql({ value: 'pump-a', oldValue: 'pump-1' });
+        expect(evt.detail.oldRoute).to.eql(['site-1', 'unit-1', 'pump-1']);
+        expect(evt.detail.route).to.eql(['site-1', 'unit-1', 'pump-a']);
+        done();
+      });
+      fx.updateNode(pump, { id: 'pump-a', label: 'Pump 1' });
+    });
+
+    it('does not fire an event if nothing changed', function() {
+      var spy = sandbox.spy();
+      fx.addEventListener('px-app-asset-updated', spy);
+      fx.updateNode(updateData[0], { label: 'Site 1' });
+      expect(spy.callCount).to.equal(0);
+    });
+  });
+
+  describe('[history]', function() {
+    var historyData;
+
+    beforeEach(function() {
+      historyData = [
+        { id: 'site-1', label: 'Site 1', children: [
+          { id: 'unit-1', label: 'Unit 1', children: [{ id: 'pump-1', label: 'Pump 1' }] },
+          { id: 'unit-2', label: 'Unit 2' }
+        ] },
+        { id: 'site-2', label: 'Site 2' }
+      ];
+      fx = fixture('AssetGraphFixtureSelectActivate');
+      fx.recordHistory = true;
+      fx.items = historyData;
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('does not record changes unless `recordHistory` is true', function() {
+      fx.recordHistory = false;
+      fx.addChildren(historyData[1], [{ id: 'unit-3' }]);
+      expect(fx.canUndo).to.equal(false);
+    });
+
+    it('undoes and redoes adding children', function() {
+      var unit = { id: 'unit-3' };
+      fx.addChildren(historyData[1], [unit]);
+      expect(fx.canUndo).to.equal(true);
+      fx.undo();
+      expect(fx._assetGraph.hasNode(unit)).to.equal(false);
+      expect(fx.canUndo).to.equal(false);
+      expect(fx.canRedo).to.equal(true);
+      fx.redo();
+      expect(fx._assetGraph.getChildren(historyData[1])).to.eql([unit]);
+    });
+
+    it('does not record children loaded with `loadChildren`', function() {
+      fx.loadChildren = function() {
+        return Promise.resolve([{ id: 'unit-3' }]);
+      };
+      return fx.loadChildrenFor(historyData[1]).then(function() {
+        expect(fx._assetGraph.getChildren(historyData[1]).length).to.equal(1);
+        expect(fx.canUndo).to.equal(false);
+      });
+    });
+
+    it('restores removed children with their descendants and flags', function() {
+      var unit = historyData[0].children[0];
+      fx._assetGraph.setTerminal(unit.children[0], true);
+      fx.removeChildren(historyData[0], unit);
+      fx.undo();
+      expect(fx._assetGraph.getChildren(historyData[0])).to.eql([unit, historyData[0].children[1]]);
+      expect(fx._assetGraph.getNodeById('pump-1')).to.equal(unit.children[0]);
+      expect(fx._assetGraph.isTerminal(unit.children[0])).to.equal(true);
+    });
+
+    it('restores the selection cleared by removing an item', function() {
+      var pump = historyData[0].children[0].children[0];
+      fx.select(pump);
+      fx.removeChildren(historyData[0], historyData[0].children[0]);
+      expect(fx.selected).to.equal(null);
+      fx.undo();
+      expect(fx.selected).to.equal(pump);
+      expect(fx.selectedRoute).to.eql(['site-1', 'unit-1', 'pump-1']);
+    });
+
+    it('undoes moving, sorting and updating items', function() {
+      var unit = historyData[0].children[0];
+      fx.moveNode(unit, historyData[1]);
+      fx.sortChildren(null, function(a, b) { return a.id < b.id ? 1 : -1; });
+      fx.updateNode(unit, { label: 'Unit A' });
+      fx.undo();
+      expect(unit.label).to.equal('Unit 1');
+      fx.undo();
+      expect(fx._assetGraph.getRootChildren()).to.eql([historyData[0], historyData[1]]);
+      fx.undo();
+      expect(fx._assetGraph.getChildren(historyData[0])[0]).to.equal(unit);
+    });
+
+    it('undoes selection and activation changes', function() {
+      var unit = historyData[0].children[0];
+      fx.select(unit);
+      fx.activate(historyData[1]);
+      fx.undo();
+      expect(fx.active).to.equal(null);
+      expect(fx.selected).to.equal(unit);
+      fx.undo();
+      expect(fx.selected).to.equal(null);
+    });
+
+    it('does not record a step when the state did not change', function() {
+      fx.deselect(null);
+      expect(fx.canUndo).to.equal(false);
+    });
+
+    it('undoes to the state that was set directly', function() {
+      var unit = historyData[0].children[0];
+      fx.select(historyData[1]);
+      fx.selected = unit;
+      fx.select(historyData[0]);
+      fx.undo();
+      expect(fx.selected).to.equal(unit);
+    });
+
+    it('fires events with the \'HISTORY\' source when undoing', function(done) {
+      this.timeout(200);
+      fx.select(historyData[1]);
+      fx.addEventListener('px-app-asset-deselected', function(evt) {
+        expect(evt.detail.source).to.equal('HISTORY');
+        done();
+      });
+      fx.undo();
+    });
+
+    it('groups changes made in `batch` into one step', function() {
+      var unit = { id: 'unit-3' };
+      var result = fx.batch(function() {
+        fx.addChildren(historyData[1], [unit]);
+        fx.select(unit);
+        return 'done';
+      });
+      expect(result).to.equal('done');
+      fx.undo();
+      expect(fx.selected).to.equal(null);
+      expect(fx._assetGraph.hasNode(unit)).to.equal(false);
+      expect(fx.canUndo).to.equal(false);
+    });
+
+    it('clears redo steps when a new change is made', function() {
+      fx.select(historyData[1]);
+      fx.undo();
+      fx.select(historyData[0]);
+      expect(fx.canRedo).to.equal(false);
+    });
+
+    it('drops the oldest steps past `historyLimit`', function() {
+      fx.historyLimit = 2;
+      fx.select(historyData[0]);
+      fx.select(historyData[1]);
+      fx.select(historyData[0].children[0]);
+      fx.undo();
+      fx.undo();
+      expect(fx.canUndo).to.equal(false);
+      expect(fx.selected).to.equal(historyData[0]);
+    });
+
+    it('clears the history when new items are set', function() {
+      fx.select(historyData[1]);
+      fx.items = [{ id: 'site-3' }];
+      expect(fx.canUndo).to.equal(false);
+      expect(fx.canRedo).to.equal(false);
+    });
+  });
+
+  describe('[lookup by ID]', function() {
+    beforeEach(function() {
+      fx = fixture('AssetGraphFixture');
+      fx.items = data;
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('finds a node anywhere in the graph with `getNodeById`', function() {
+      expect(fx._assetGraph.getNodeById('wc')).to.equal(data[0].children[0].children[1]);
+      expect(fx._assetGraph.getNodeById('canada')).to.equal(data[1]);
+    });
+
+    it('returns null from `getNodeById` if no node has the ID', function() {
+      expect(fx._assetGraph.getNodeById('mexico')).to.equal(null);
+    });
+
+    it('returns the route to a node with `getRouteById`', function() {
+      expect(fx._assetGraph.getRouteById('wc')).to.eql(['united-states', 'calif', 'wc']);
+    });
+
+    it('indexes nodes added with `addChildren`', function() {
+      var child = { id: 'portland', label: 'Portland' };
+      fx.addChildren(data[0].children[2], child);
+      expect(fx._assetGraph.getNodeById('portland')).to.equal(child);
+      expect(fx._assetGraph.getNodeAtRoute(['united-states', 'oregon', 'portland'])).to.equal(child);
+    });
+
+    it('removes a node and its descendants from the index with `removeChildren`', function() {
+      fx.removeChildren(data[0], data[0].children[0]);
+      expect(fx._assetGraph.getNodeById('calif')).to.equal(null);
+      expect(fx._assetGraph.getNodeById('sf')).to.equal(null);
+      expect(fx._assetGraph.getNodeById('ariz')).to.equal(data[0].children[1]);
+    });
+
+    it('does not find a node with `getNodeAtRoute` if the route does not match its ancestors', function() {
+      expect(fx._assetGraph.getNodeAtRoute(['canada', 'wc'])).to.equal(null);
+      expect(fx._assetGraph.getNodeAtRoute(['wc'])).to.equal(null);
+    });
+  });
+
+  describe('[traversal]', function() {
+    function ids(nodes) {
+      return nodes.map(function(node) { return node.id; });
+    }
+
+    beforeEach(function() {
+      fx = fixture('AssetGraphFixture');
+      fx.items = data;
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('walks the whole graph depth-first with `depthFirstIterator`', function() {
+      var nodes = Array.from(fx._assetGraph.depthFirstIterator(null));
+      expect(ids(nodes)).to.eql(['united-states', 'calif', 'sf', 'wc', 'sc', 'ariz', 'oregon', 'wash', 'canada']);
+    });
+
+    it('walks the whole graph breadth-first with `breadthFirstIterator`', function() {
+      var nodes = Array.from(fx._assetGraph.breadthFirstIterator(null));
+      expect(ids(nodes)).to.eql(['united-states', 'canada', 'calif', 'ariz', 'oregon', 'wash', 'sf', 'wc', 'sc']);
+    });
+
+    it('walks only a subtree when the iterators are called with a node', function() {
+      expect(ids(Array.from(fx._assetGraph.depthFirstIterator(data[0].children[0])))).to.eql(['sf', 'wc', 'sc']);
+      expect(ids(Array.from(fx._assetGraph.breadthFirstIterator(data[0])))).to.eql(['calif', 'ariz', 'oregon', 'wash', 'sf', 'wc', 'sc']);
+    });
+
+    it('returns every descendant of a node with `getDescendants`', function() {
+      expect(ids(fx._assetGraph.getDescendants(data[0]))).to.eql(['calif', 'sf', 'wc', 'sc', 'ariz', 'oregon', 'wash']);
+      expect(fx._assetGraph.getDescendants(data[1])).to.eql([]);
+      expect(fx._assetGraph.getDescendants({ id: 'not-in-graph' })).to.equal(null);
+    });
+
+    it('returns the first matching node with `find`', function() {
+      var found = fx._assetGraph.find(function(node) { return node.label.indexOf('W') === 0; });
+      expect(found).to.equal(data[0].children[0].children[1]);
+      expect(fx._assetGraph.find(function() { return false; })).to.equal(null);
+    });
+
+    it('only searches the subtree when `find` is called with a node', function() {
+      var found = fx._assetGraph.find(function(node) { return node.label.indexOf('W') === 0; }, data[0].children[1]);
+      expect(found).to.equal(null);
+    });
+
+    it('returns every matching node with `filter`', function() {
+      var leaves = fx._assetGraph.filter(function(node) { return !node.children; });
+      expect(ids(leaves)).to.eql(['sf', 'wc', 'sc', 'ariz', 'oregon', 'wash', 'canada']);
+      var cityLeaves = fx._assetGraph.filter(function(node) { return !node.children; }, data[0].children[0]);
+      expect(ids(cityLeaves)).to.eql(['sf', 'wc', 'sc']);
+    });
+
+    it('returns the depth of a node with `getDepth`', function() {
+      expect(fx._assetGraph.getDepth(data[0])).to.equal(0);
+      expect(fx._assetGraph.getDepth(data[0].children[0])).to.equal(1);
+      expect(fx._assetGraph.getDepth(data[0].children[0].children[2])).to.equal(2);
+      expect(fx._assetGraph.getDepth({ id: 'not-in-graph' })).to.equal(null);
+    });
+
+    it('includes the position of a node in `getInfo`', function() {
+      var info = fx._assetGraph.getInfo(data[0].children[0].children[1]);
+      expect(info.depth).to.equal(2);
+      expect(info.index).to.equal(1);
+      expect(info.siblingCount).to.equal(3);
+      expect(info.descendantCount).to.equal(0);
+      expect(info.isLeaf).to.equal(true);
+    });
+
+    it('counts every descendant of a node in `getInfo`', function() {
+      var info = fx._assetGraph.getInfo(data[0]);
+      expect(info.descendantCount).to.equal(7);
+      expect(info.isLeaf).to.equal(false);
+    });
+
+    it('updates the counts in `getInfo` when the graph changes', function() {
+      var calif = data[0].children[0];
+      expect(fx._assetGraph.getInfo(data[0]).descendantCount).to.equal(7);
+      fx.addChildren(calif.children[0], [{ id: 'soma', label: 'SoMa' }]);
+      expect(fx._assetGraph.getInfo(data[0]).descendantCount).to.equal(8);
+      fx.moveNode(calif, data[1]);
+      expect(fx._assetGraph.getInfo(data[0]).descendantCount).to.equal(3);
+      expect(fx._assetGraph.getInfo(data[1]).descendantCount).to.equal(5);
+      expect(fx._assetGraph.getInfo(calif).depth).to.equal(1);
+      fx.removeChildren(data[1], calif);
+      expect(fx._assetGraph.getInfo(data[1]).descendantCount).to.equal(0);
+    });
+  });
+
+  describe('[search]', function() {
+    beforeEach(function() {
+      fx = fixture('AssetGraphFixture');
+      fx.items = data;
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('ranks prefix matches above substring and fuzzy matches', function() {
+      var results = fx._assetGraph.search('sa');
+      expect(results.length).to.equal(3);
+      expect(results[0].item).to.equal(data[0].children[0].children[2]); // Sacramento
+      expect(results[0].match).to.equal('prefix');
+      expect(results[1].item).to.equal(data[0].children[0].children[0]); // San Francisco
+      expect(results[1].match).to.equal('prefix');
+      expect(results[2].item).to.equal(data[0]); // United States
+      expect(results[2].match).to.equal('fuzzy');
+      expect(results[2].score).to.be.below(results[1].score);
+    });
+
+    it('matches labels regardless of case', function() {
+      var results = fx._assetGraph.search('CREEK');
+      expect(results.length).to.equal(1);
+      expect(results[0].item).to.equal(data[0].children[0].children[1]);
+      expect(results[0].match).to.equal('substring');
+    });
+
+    it('matches the letters of the query in order as a fuzzy match', function() {
+      var results = fx._assetGraph.search('sfrnc');
+      expect(results.length).to.equal(1);
+      expect(results[0].item).to.equal(data[0].children[0].children[0]);
+      expect(results[0].match).to.equal('fuzzy');
+    });
+
+    it('includes the path and route of each match', function() {
+      var result = fx._assetGraph.search('sacramento')[0];
+      expect(result.path).to.eql([data[0], data[0].children[0], data[0].children[0].children[2]]);
+      expect(result.route).to.eql(['united-states', 'calif', 'sc']);
+      expect(result.parent).to.equal(data[0].children[0]);
+    });
+
+    it('returns no results for an empty query', function() {
+      expect(fx._assetGraph.search('')).to.eql([]);
+    });
+
+    it('limits the number of results with the `limit` option', function() {
+      expect(fx._assetGraph.search('a', { limit: 2 }).length).to.equal(2);
+    });
+
+    it('updates `searchResults` after `searchQuery` changes', function(done) {
+      this.timeout(200);
+      fx.searchDebounceTime = 10;
+      fx.addEventListener('search-results-changed', function(evt) {
+        if (evt.detail.value.length) {
+          expect(evt.detail.value[0].item).to.equal(data[1]);
+          done();
+        }
+      });
+      fx.searchQuery = 'canada';
+    });
+
+    it('clears `searchResults` right away when `searchQuery` is emptied', function() {
+      fx._setSearchResults(fx._assetGraph.search('canada'));
+      fx.searchQuery = 'can';
+      fx.searchQuery = '';
+      expect(fx.searchResults).to.eql([]);
+    });
+
+    it('drops removed items from `searchResults` right away', function() {
+      fx._setSearchResults(fx._assetGraph.search('or'));
+      fx.removeChildren(data[0], data[0].children[2]);
+      expect(fx.searchResults.map(function(result) { return result.item.id; })).to.not.include('oregon');
+    });
+
+    it('updates `searchResults` after the graph changes', function(done) {
+      this.timeout(200);
+      fx.searchDebounceTime = 10;
+      fx.searchQuery = 'ontario';
+      fx.addEventListener('search-results-changed', function(evt) {
+        if (evt.detail.value.length) {
+          expect(evt.detail.value[0].route).to.eql(['canada', 'ontario']);
+          done();
+        }
+      });
+      fx.addChildren(data[1], [{ id: 'ontario', label: 'Ontario' }]);
+    });
+  });
+
+  describe('[loading children]', function() {
+    var lazyData;
+
+    beforeEach(function() {
+      lazyData = [
+        { id: 'site-1', label: 'Site 1' },
+        { id: 'site-2', label: 'Site 2', isExhausted: true },
+        { id: 'pump-1', label: 'Pump 1', isTerminal: true }
+      ];
+      fx = fixture('AssetGraphFixtureSelectActivate');
+      fx.items = lazyData;
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('loads the children of an item when it is activated', function(done) {
+      this.timeout(200);
+      var loaded = [{ id: 'unit-1', label: 'Unit 1' }];
+      fx.loadChildren = sandbox.stub().returns(Promise.resolve(loaded));
+      fx.addEventListener('px-app-asset-children-loaded', function(evt) {
+        expect(fx.loadChildren).to.have.been.calledWith(lazyData[0]);
+        expect(evt.detail.item).to.equal(lazyData[0]);
+        expect(fx._assetGraph.getChildren(lazyData[0])).to.eql(loaded);
+        expect(fx._assetGraph.isExhausted(lazyData[0])).to.equal(true);
+        done();
+      });
+      fx.activate(lazyData[0]);
+    });
+
+    it('does not load the children of exhausted or terminal items', function() {
+      fx.loadChildren = sandbox.stub().returns(Promise.resolve([]));
+      fx.activate(lazyData[1]);
+      fx.loadChildrenFor(lazyData[2]);
+      expect(fx.loadChildren).to.not.have.been.called;
+    });
+
+    it('only calls `loadChildren` once for an item that is already loading', function() {
+      fx.loadChildren = sandbox.stub().returns(new Promise(function() {}));
+      var first = fx.loadChildrenFor(lazyData[0]);
+      var second = fx.loadChildrenFor(lazyData[0]);
+      expect(first).to.equal(second);
+      return Promise.resolve().then(function() {
+        expect(fx.loadChildren).to.have.been.calledOnce;
+      });
+    });
+
+    it('leaves the item unexhausted if `loadChildren` returns `isExhausted: false`', function() {
+      fx.loadChildren = sandbox.stub().returns(Promise.resolve({ children: [{ id: 'unit-1', label: 'Unit 1' }], isExhausted: false }));
+      return fx.loadChildrenFor(lazyData[0]).then(function(children) {
+        expect(children.length).to.equal(1);
+        expect(fx._assetGraph.isExhausted(lazyData[0])).to.equal(false);
+      });
+    });
+
+    it('fires a \'px-app-asset-children-loading\' event when loading starts', function(done) {
+      this.timeout(200);
+      fx.loadChildren = sandbox.stub().returns(Promise.resolve([]));
+      fx.addEventListener('px-app-asset-children-loading', function(evt) {
+        expect(evt.detail.item).to.equal(lazyData[0]);
+        done();
+      });
+      fx.loadChildrenFor(lazyData[0]);
+    });
+
+    it('fires a \'px-app-asset-children-load-error\' event if loading fails', function(done) {
+      this.timeout(200);
+      var error = new Error('Network error');
+      fx.loadChildren = sandbox.stub().returns(Promise.reject(error));
+      fx.addEventListener('px-app-asset-children-load-error', function(evt) {
+        expect(evt.detail.item).to.equal(lazyData[0]);
+        expect(evt.detail.error).to.equal(error);
+        expect(fx._assetGraph.isExhausted(lazyData[0])).to.equal(false);
+        done();
+      });
+      fx.activate(lazyData[0]);
+    });
+  });
+
+  describe('[views]', function() {
+    var view;
+
+    beforeEach(function() {
+      fx = fixture('AssetGraphFixture');
+      fx.items = data;
+      view = fx._assetGraph.createView(function(node) {
+        return node.label.indexOf('Creek') > -1 || node.id === 'canada';
+      });
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      view.destroy();
+      sandbox.restore();
+    });
+
+    it('only includes matching nodes and their ancestors', function() {
+      expect(view.getRootChildren()).to.eql([data[0], data[1]]);
+      expect(view.getChildren(data[0])).to.eql([data[0].children[0]]);
+      expect(view.getChildren(data[0].children[0])).to.eql([data[0].children[0].children[1]]);
+      expect(view.hasNode(data[0].children[1])).to.equal(false);
+    });
+
+    it('keeps the routes of the graph', function() {
+      var wc = data[0].children[0].children[1];
+      expect(view.getRoute(wc)).to.eql(['united-states', 'calif', 'wc']);
+      expect(view.getPath(wc)).to.eql([data[0], data[0].children[0], wc]);
+      expect(view.getNodeAtRoute(['united-states', 'calif', 'wc'])).to.equal(wc);
+      expect(view.getNodeAtRoute(['united-states', 'ariz'])).to.equal(null);
+    });
+
+    it('tells matching nodes apart from ancestors with `isMatch`', function() {
+      expect(view.isMatch(data[0])).to.equal(false);
+      expect(view.isMatch(data[0].children[0].children[1])).to.equal(true);
+    });
+
+    it('updates when the graph changes', function() {
+      var spy = sandbox.spy();
+      view.on('changed', spy);
+      var creek = { id: 'ac', label: 'Arroyo Creek' };
+      fx.addChildren(data[0].children[1], creek);
+      expect(spy.callCount).to.equal(1);
+      expect(view.getChildren(data[0])).to.eql([data[0].children[0], data[0].children[1]]);
+      expect(view.getRoute(creek)).to.eql(['united-states', 'ariz', 'ac']);
+      fx.removeChildren(data[0].children[1], creek);
+    });
+
+    it('can be refreshed with a new predicate', function() {
+      view.refresh(function(node) {
+        return node.id === 'oregon';
+      });
+      expect(view.getRootChildren()).to.eql([data[0]]);
+      expect(view.getChildren(data[0])).to.eql([data[0].children[2]]);
+    });
+  });
+
+  describe('[visible rows]', function() {
+    var graph;
+
+    function rows() {
+      return graph.getVisibleRows().map(function(row) {
+        return row.item.id + ':' + row.depth;
+      });
+    }
+
+    beforeEach(function() {
+      fx = fixture('AssetGraphFixture');
+      fx.items = data;
+      graph = fx._assetGraph;
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('returns a row for each node at the root when nothing is expanded', function() {
+      expect(rows()).to.eql(['united-states:0', 'canada:0']);
+      expect(graph.getVisibleRows()[0]).to.eql({ item: data[0], depth: 0, hasChildren: true, expanded: false });
+    });
+
+    it('includes the children of expanded nodes', function() {
+      graph.setExpanded(data[0], true);
+      graph.setExpanded(data[0].children[0], true);
+      expect(rows()).to.eql(['united-states:0', 'calif:1', 'sf:2', 'wc:2', 'sc:2', 'ariz:1', 'oregon:1', 'wash:1', 'canada:0']);
+      expect(graph.isExpanded(data[0])).to.equal(true);
+    });
+
+    it('removes the rows below a node when it is collapsed', function() {
+      graph.setExpanded(data[0], true);
+      graph.setExpanded(data[0].children[0], true);
+      graph.setExpanded(data[0], false);
+      expect(rows()).to.eql(['united-states:0', 'canada:0']);
+    });
+
+    it('adds rows for children added to an expanded node', function() {
+      graph.setExpanded(data[1], true);
+      rows();
+      fx.addChildren(data[1], [{ id: 'ontario', label: 'Ontario' }]);
+      expect(rows()).to.eql(['united-states:0', 'canada:0', 'ontario:1']);
+    });
+
+    it('updates the rows when children are moved or removed', function() {
+      graph.setExpanded(data[0], true);
+      graph.setExpanded(data[1], true);
+      rows();
+      fx.moveNode(data[0].children[1], data[1]);
+      expect(rows()).to.eql(['united-states:0', 'calif:1', 'oregon:1', 'wash:1', 'canada:0', 'ariz:1']);
+      fx.removeChildren(data[0], data[0].children[0]);
+      expect(rows()).to.eql(['united-states:0', 'oregon:1', 'wash:1', 'canada:0', 'ariz:1']);
+    });
+
+    it('keeps the expanded nodes when the graph is reconciled', function() {
+      graph.setExpanded(data[0], true);
+      graph.setExpanded(data[0].children[0], true);
+      graph.reconcile(JSON.parse(JSON.stringify(data)));
+      expect(rows()).to.eql(['united-states:0', 'calif:1', 'sf:2', 'wc:2', 'sc:2', 'ariz:1', 'oregon:1', 'wash:1', 'canada:0']);
+    });
+
+    it('keeps the rows that did not change', function() {
+      var before = graph.getVisibleRows();
+      graph.setExpanded(data[1], true);
+      expect(graph.getVisibleRows()[0]).to.equal(before[0]);
+    });
+
+    it('notifies \'expanded-changed\' subscribers', function() {
+      var spy = sandbox.spy();
+      graph.on('expanded-changed', spy);
+      graph.setExpanded(data[0], true);
+      graph.setExpanded(data[0], true);
+      expect(spy.callCount).to.equal(1);
+      expect(spy.firstCall.args[0].node).to.equal(data[0]);
+      expect(spy.firstCall.args[0].expanded).to.equal(true);
+    });
+  });
+
+  describe('[aggregates]', function() {
+    var alarmData;
+
+    beforeEach(function() {
+      alarmData = [
+        { id: 'site-1', label: 'Site 1', children: [
+          { id: 'pump-1', label: 'Pump 1', alarms: 2, health: 80 },
+          { id: 'pump-2', label: 'Pump 2', alarms: 3, health: 60, children: [
+            { id: 'motor-1', label: 'Motor 1', alarms: 1, health: 90 }
+          ] }
+        ] },
+        { id: 'site-2', label: 'Site 2', children: [
+          { id: 'pump-3', label: 'Pump 3', alarms: 0, health: 40 }
+        ] }
+      ];
+      fx = fixture('AssetGraphFixture');
+      fx.items = alarmData;
+      fx.aggregates = {
+        alarms: { field: 'alarms', reducer: 'sum' },
+        health: { field: 'health', reducer: 'min' },
+        assets: { reducer: 'count' }
+      };
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('rolls values up from the descendants of an item', function() {
+      expect(fx.getAggregate(alarmData[0], 'alarms')).to.equal(6);
+      expect(fx.getAggregate(alarmData[0].children[1], 'alarms')).to.equal(4);
+      expect(fx.getAggregate(alarmData[0], 'health')).to.equal(60);
+      expect(fx.getAggregate(alarmData[1], 'assets')).to.equal(2);
+    });
+
+    it('rolls values up for the whole graph with a null item', function() {
+      expect(fx.getAggregate(null, 'alarms')).to.equal(6);
+      expect(fx.getAggregate(null, 'health')).to.equal(40);
+      expect(fx.getAggregate(null, 'assets')).to.equal(6);
+    });
+
+    it('supports custom reducers', function() {
+      fx._assetGraph.addAggregate('names', {
+        field: 'label',
+        reducer: function(value, childResults) {
+          return childResults.reduce(function(all, names) {
+            return all.concat(names);
+          }, [value]);
+        }
+      });
+      expect(fx._assetGraph.getAggregate(alarmData[0].children[1], 'names')).to.eql(['Pump 2', 'Motor 1']);
+    });
+
+    it('keeps aggregates added with `addAggregate` when `aggregates` changes', function() {
+      fx._assetGraph.addAggregate('pumps', { reducer: 'count' });
+      fx.aggregates = {
+        alarms: { field: 'alarms', reducer: 'sum' }
+      };
+      expect(fx._assetGraph.getAggregate(alarmData[0], 'pumps')).to.equal(4);
+      expect(fx.getAggregate(alarmData[0], 'alarms')).to.equal(6);
+      expect(function() {
+        fx._assetGraph.getAggregate(alarmData[0], 'health');
+      }).to.throw();
+    });
+
+    it('updates the results when children are added and removed', function() {
+      fx.addChildren(alarmData[1], { id: 'pump-4', label: 'Pump 4', alarms: 5, health: 10 });
+      expect(fx.getAggregate(alarmData[1], 'alarms')).to.equal(5);
+      expect(fx.getAggregate(null, 'health')).to.equal(10);
+      fx.removeChildren(alarmData[0], alarmData[0].children[1]);
+      expect(fx.getAggregate(alarmData[0], 'alarms')).to.equal(2);
+      expect(fx.getAggregate(null, 'alarms')).to.equal(7);
+    });
+
+    it('updates the results when items are moved', function() {
+      fx.moveNode(alarmData[0].children[1], alarmData[1]);
+      expect(fx.getAggregate(alarmData[0], 'alarms')).to.equal(2);
+      expect(fx.getAggregate(alarmData[1], 'alarms')).to.equal(4);
+    });
+
+    it('updates the results after `refreshAggregates` when values are changed by hand', function() {
+      var graph = PxApp.assetGraph();
+      var items = [{ id: 'a', alarms: 1, children: [{ id: 'b', alarms: 1 }] }];
+      graph.addChildren(null, items, { recursive: true });
+      graph.addAggregate('alarms', { field: 'alarms', reducer: 'sum' });
+      expect(graph.getAggregate(items[0], 'alarms')).to.equal(2);
+      items[0].children[0].alarms = 5;
+      graph.refreshAggregates(items[0].children[0]);
+      expect(graph.getAggregate(items[0], 'alarms')).to.equal(6);
+    });
+
+    it('returns null for aggregates that were not added', function() {
+      expect(fx.getAggregate(alarmData[0], 'nope')).to.equal(null);
+      expect(function() {
+        fx._assetGraph.getAggregate(alarmData[0], 'nope');
+      }).to.throw();
+    });
+  });
+
+  describe('[serializing]', function() {
+    beforeEach(function() {
+      fx = fixture('AssetGraphFixture');
+      fx.items = data;
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('copies the hierarchy of the graph with `toJSON`', function() {
+      var json = fx._assetGraph.toJSON();
+      expect(json.items.length).to.equal(2);
+      expect(json.items[0]).to.not.equal(data[0]);
+      expect(json.items[0].id).to.equal('united-states');
+      expect(json.items[0].children[0].children[2].label).to.equal('Sacramento');
+      expect(json.keys.id).to.equal('id');
+      expect(json.keys.children).to.equal('children');
+    });
+
+    it('writes the node flags to the copied items', function() {
+      fx._assetGraph.setExhausted(data[0].children[1], true);
+      fx._assetGraph.setTerminal(data[1], true);
+      fx._assetGraph.setSelectable(data[0], false);
+      var json = fx._assetGraph.toJSON();
+      expect(json.items[0].children[1].isExhausted).to.equal(true);
+      expect(json.items[1].isTerminal).to.equal(true);
+      expect(json.items[0].isSelectable).to.equal(false);
+      expect(data[1].isTerminal).to.equal(undefined);
+    });
+
+    it('restores a graph serialized with `JSON.stringify` with `AssetGraph.fromJSON`', function() {
+      fx._assetGraph.setExhausted(data[0].children[1], true);
+      fx._assetGraph.setExhausted(null, true);
+      var graph = PxApp.AssetGraph.fromJSON(JSON.parse(JSON.stringify(fx._assetGraph)));
+      var node = graph.getNodeAtRoute(['united-states', 'calif', 'wc']);
+      expect(node.label).to.equal('Walnut Creek');
+      expect(graph.getRoute(node)).to.eql(['united-states', 'calif', 'wc']);
+      expect(graph.isExhausted(graph.getNodeById('ariz'))).to.equal(true);
+      expect(graph.isExhausted(graph.getNodeById('oregon'))).to.equal(false);
+      expect(graph.isExhausted(null)).to.equal(true);
+    });
+
+    it('restores the custom keys of the graph with `AssetGraph.fromJSON`', function() {
+      var graph = PxApp.assetGraph({ keys: { id: 'assetId', children: 'assets' } });
+      graph.addChildren(null, [{ assetId: 'h01', assets: [{ assetId: 'c01' }] }], { recursive: true, childrenKey: 'assets' });
+      var restored = PxApp.AssetGraph.fromJSON(JSON.parse(JSON.stringify(graph)));
+      expect(restored.getRouteById('c01')).to.eql(['h01', 'c01']);
+    });
+  });
+
+  describe('[graph events]', function() {
+    var graph;
+    var graphData;
+
+    beforeEach(function() {
+      graphData = [
+        { id: 'site-1', children: [{ id: 'unit-1', children: [{ id: 'pump-1' }] }, { id: 'unit-2' }] },
+        { id: 'site-2' }
+      ];
+      graph = PxApp.assetGraph();
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('notifies \'added\' listeners once when children are added recursively', function() {
+      var listener = sandbox.spy();
+      graph.on('added', listener);
+      graph.addChildren(null, graphData, { recursive: true });
+      expect(listener).to.have.been.calledOnce;
+      var detail = listener.firstCall.args[0];
+      expect(detail.parent).to.equal(null);
+      expect(detail.children).to.eql(graphData);
+      expect(detail.nodes.length).to.equal(5);
+    });
+
+    it('notifies \'removed\' listeners with the removed nodes and their descendants', function() {
+      var listener = sandbox.spy();
+      graph.addChildren(null, graphData, { recursive: true });
+      graph.on('removed', listener);
+      graph.removeChildren(graphData[0], graphData[0].children[0]);
+      expect(listener).to.have.been.calledOnce;
+      var detail = listener.firstCall.args[0];
+      expect(detail.parent).to.equal(graphData[0]);
+      expect(detail.nodes).to.eql([graphData[0].children[0], graphData[0].children[0].children[0]]);
+    });
+
+    it('notifies \'moved\' listeners when a node is moved', function() {
+      var listener = sandbox.spy();
+      graph.addChildren(null, graphData, { recursive: true });
+      graph.on('moved', listener);
+      graph.moveNode(graphData[0].children[1], graphData[1]);
+      var detail = listener.firstCall.args[0];
+      expect(detail.node).to.equal(graphData[0].children[1]);
+      expect(detail.oldParent).to.equal(graphData[0]);
+      expect(detail.parent).to.equal(graphData[1]);
+      expect(detail.index).to.equal(0);
+    });
+
+    it('notifies \'flag-changed\' listeners only when a flag changes', function() {
+      var listener = sandbox.spy();
+      graph.addChildren(null, graphData, { recursive: true });
+      graph.on('flag-changed', listener);
+      graph.setExhausted(graphData[1], true);
+      graph.setExhausted(graphData[1], true);
+      graph.setTerminal(graphData[1], true);
+      graph.setSelectable(null, false);
+      expect(listener).to.have.been.calledThrice;
+      expect(listener.firstCall.args[0]).to.include({ node: graphData[1], flag: 'isExhausted', value: true, oldValue: null });
+      expect(listener.secondCall.args[0]).to.include({ node: graphData[1], flag: 'isTerminal', value: true });
+      expect(listener.thirdCall.args[0]).to.include({ node: null, flag: 'isSelectable', value: false });
+    });
+
+    it('stops notifying listeners removed with `off` or the function returned by `on`', function() {
+      var listener1 = sandbox.spy();
+      var listener2 = sandbox.spy();
+      graph.on('added', listener1);
+      var unsubscribe = graph.on('added', listener2);
+      graph.off('added', listener1);
+      unsubscribe();
+      graph.addChildren(null, graphData);
+      expect(listener1).to.not.have.been.called;
+      expect(listener2).to.not.have.been.called;
+    });
+  });
+
+  describe('[validation]', function() {
+    function codes(errors) {
+      return errors.map(function(error) { return error.code; });
+    }
+
+    beforeEach(function() {
+      fx = fixture('AssetGraphFixture');
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('returns no errors for valid items', function() {
+      expect(PxApp.AssetGraph.validate(data, fx.keys)).to.eql([]);
+    });
+
+    it('reports items without an ID with their route', function() {
+      var errors = PxApp.AssetGraph.validate([{ id: 'a', children: [{ label: 'No ID' }] }]);
+      expect(codes(errors)).to.eql(['missing-id']);
+      expect(errors[0].route).to.eql(['a', null]);
+    });
+
+    it('reports siblings with the same ID', function() {
+      var errors = PxApp.AssetGraph.validate([{ id: 'a' }, { id: 'b' }, { id: 'a' }]);
+      expect(codes(errors)).to.eql(['duplicate-id']);
+      expect(errors[0].route).to.eql(['a']);
+    });
+
+    it('reports terminal items with children and children that are not arrays', function() {
+      var errors = PxApp.AssetGraph.validate([
+        { id: 'a', isTerminal: true, children: [{ id: 'b' }] },
+        { id: 'c', children: { id: 'd' } }
+      ]);
+      expect(codes(errors)).to.eql(['terminal-with-children', 'invalid-children']);
+      expect(errors[1].route).to.eql(['c']);
+    });
+
+    it('reports keys objects that only set some of the keys', function() {
+      var errors = PxApp.AssetGraph.validate([], { id: 'assetId' });
+      expect(codes(errors)).to.eql(['invalid-keys']);
+    });
+
+    it('fires a \'px-app-asset-graph-invalid\' event in `strict` mode', function(done) {
+      this.timeout(200);
+      fx.strict = true;
+      fx.addEventListener('px-app-asset-graph-invalid', function(evt) {
+        expect(codes(evt.detail.errors)).to.eql(['missing-id', 'duplicate-id']);
+        expect(fx._assetGraph).to.equal(null);
+        done();
+      });
+      fx.items = [{ label: 'No ID' }, { id: 'a' }, { id: 'a' }];
+    });
+
+    it('does not check the items if `strict` mode is off', function() {
+      var spy = sandbox.spy();
+      fx.addEventListener('px-app-asset-graph-invalid', spy);
+      fx.items = [{ id: 'a' }, { id: 'a' }];
+      expect(spy).to.not.have.been.called;
+    });
   });
 
   describe('[custom keys]', function() {
@@ -318,6 +1687,21 @@ describe('PxAppBehavior.AssetGraph', function () {
       expect(fx._assetGraph === graph).to.equal(false);
     });
 
+    it('builds a new asset graph when the `keys.id` is changed', function() {
+      fx.items = dataCustomKeys;
+      var graph = fx._assetGraph;
+      fx.set('keys.id', 'assetId');
+      expect(fx._assetGraph === graph).to.equal(false);
+      expect(fx._assetGraph.getNodeById('h01')).to.equal(fx.items[0]);
+    });
+
+    it('indexes nodes by the custom `id` key', function() {
+      fx.keys = customKeys;
+      fx.items = dataCustomKeys;
+      expect(fx._assetGraph.getNodeById('cs01')).to.equal(fx.items[0].assets[0].assets[0]);
+      expect(fx._assetGraph.getRouteById('cs01')).to.eql(['h01', 'c01', 'cs01']);
+    });
+
     it('resets the active item when `keys` is reassigned to a new reference', function() {
       fx.items = dataCustomKeys;
       var activateFn = sandbox.spy();
@@ -456,6 +456,320 @@ describe('PxAppBehavior.AssetSelectable', function () {
     });
   });
 
+  describe('cascading select', function() {
+    var calif;
+
+    beforeEach(function() {
+      fx = fixture('AssetSelectableFixture');
+      fx.multiSelect = true;
+      fx.cascadeSelection = true;
+      fx.items = data;
+      calif = data[0].children[0];
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('selects the descendants of an item when it is selected', function() {
+      fx.select(calif);
+      expect(fx.selected).to.eql([calif, calif.children[0], calif.children[1], calif.children[2]]);
+    });
+
+    it('selects a parent once all of its children are selected', function() {
+      fx.select(calif.children.slice(0));
+      expect(fx.selected.indexOf(calif)).to.be.above(-1);
+    });
+
+    it('deselects the descendants and ancestors of an item when it is deselected', function() {
+      fx.select(calif);
+      fx.deselect(calif.children[1]);
+      expect(fx.selected).to.eql([calif.children[0], calif.children[2]]);
+      fx.deselect(data[0]);
+      expect(fx.selected).to.eql([calif.children[0], calif.children[2]]);
+      fx.select(calif);
+      fx.deselect(calif);
+      expect(fx.selected).to.eql([]);
+    });
+
+    it('lists partially selected items in `indeterminate`', function() {
+      fx.select(calif.children[0]);
+      expect(fx.indeterminate).to.eql([data[0], calif]);
+      expect(fx.getSelectionState(calif)).to.equal('indeterminate');
+      expect(fx.getSelectionState(calif.children[0])).to.equal('checked');
+      expect(fx.getSelectionState(calif.children[1])).to.equal('unchecked');
+    });
+
+    it('only lists the top of each selected subtree in `selectedCoveringRoutes`', function() {
+      fx.select(calif);
+      fx.select(data[0].children[1]);
+      expect(fx.selectedRoute.length).to.equal(5);
+      expect(fx.selectedCoveringRoutes).to.eql([['united-states', 'calif'], ['united-states', 'ariz']]);
+    });
+
+    it('selects the descendants of each item in `selectedRoute`', function() {
+      fx.selectedRoute = [['united-states', 'calif']];
+      expect(fx.selected).to.eql([calif, calif.children[0], calif.children[1], calif.children[2]]);
+    });
+
+    it('selects the descendants with one change to `selected`', function() {
+      var spy = sandbox.spy(fx, '_selectedChanged');
+      fx.select(calif);
+      var assigned = spy.args.filter(function(args) { return args[0].path === 'selected'; });
+      expect(assigned.length).to.equal(1);
+      expect(fx.selectedRoute.length).to.equal(4);
+    });
+
+    it('does not cascade when `cascadeSelection` is disabled', function() {
+      fx.cascadeSelection = false;
+      fx.select(calif);
+      expect(fx.selected).to.eql([calif]);
+      expect(fx.selectedCoveringRoutes).to.eql([['united-states', 'calif']]);
+    });
+  });
+
+  describe('range select', function() {
+    var calif;
+
+    beforeEach(function() {
+      fx = fixture('AssetSelectableFixture');
+      fx.multiSelect = true;
+      fx.items = data;
+      calif = data[0].children[0];
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('selects every item between two items in document order with `selectRange()`', function() {
+      fx.selectRange(calif.children[1], data[0].children[1]);
+      expect(fx.selected).to.eql([calif.children[1], calif.children[2], data[0].children[1]]);
+    });
+
+    it('selects the range in document order when the target comes first', function() {
+      fx.selectRange(data[0].children[1], calif.children[2]);
+      expect(fx.selected).to.eql([calif.children[2], data[0].children[1]]);
+    });
+
+    it('selects the range with one change to `selected`', function() {
+      var spy = sandbox.spy(fx, '_selectedChanged');
+      fx.selectRange(calif.children[0], data[0].children[2]);
+      var assigned = spy.args.filter(function(args) { return args[0].path === 'selected'; });
+      expect(assigned.length).to.equal(1);
+      expect(fx.selected.length).to.equal(5);
+    });
+
+    it('replaces the selection with the range', function() {
+      fx.select(data[0].children[3]);
+      fx.selectRange(calif, calif.children[0]);
+      expect(fx.selected).to.eql([calif, calif.children[0]]);
+    });
+
+    it('starts the range from the last selected item if no anchor is given', function() {
+      fx.select(calif.children[2]);
+      fx.selectRange(null, data[0].children[2]);
+      expect(fx.selected).to.eql([calif.children[2], data[0].children[1], data[0].children[2]]);
+    });
+
+    it('selects a range by event with `shiftKey`', function() {
+      fx.fire('px-app-asset-should-be-selected', {item:calif.children[0]});
+      fx.fire('px-app-asset-should-be-selected', {item:calif.children[2], shiftKey:true});
+      expect(fx.selected).to.eql([calif.children[0], calif.children[1], calif.children[2]]);
+    });
+
+    it('adds a range to the selection by event with `shiftKey` and `ctrlKey`', function() {
+      fx.select(data[0].children[3]);
+      fx.select(calif.children[0]);
+      fx.fire('px-app-asset-should-be-selected', {item:calif.children[1], shiftKey:true, ctrlKey:true});
+      expect(fx.selected).to.eql([data[0].children[3], calif.children[0], calif.children[1]]);
+    });
+
+    it('toggles an item by event with `ctrlKey` or `metaKey`', function() {
+      var item = data[0].children[1];
+      fx.fire('px-app-asset-should-be-selected', {item:item, ctrlKey:true});
+      expect(fx.selected).to.eql([item]);
+      fx.fire('px-app-asset-should-be-selected', {item:item, metaKey:true});
+      expect(fx.selected).to.eql([]);
+    });
+  });
+
+  describe('selection constraints', function() {
+    var calif;
+
+    beforeEach(function() {
+      fx = fixture('AssetSelectableFixture');
+      fx.multiSelect = true;
+      fx.items = data;
+      calif = data[0].children[0];
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('rejects items past `maxSelected`', function() {
+      fx.maxSelected = 2;
+      fx.select([calif.children[0], calif.children[1], calif.children[2]]);
+      expect(fx.selected).to.eql([calif.children[0], calif.children[1]]);
+    });
+
+    it('fires a \'px-app-asset-selection-rejected\' event with the reason', function(done) {
+      this.timeout(200);
+      fx.maxSelected = 1;
+      fx.select(calif.children[0]);
+      fx.addEventListener('px-app-asset-selection-rejected', function(evt) {
+        expect(evt.detail.item).to.equal(calif.children[1]);
+        expect(evt.detail.action).to.equal('select');
+        expect(evt.detail.reason).to.equal('MAX_REACHED');
+        expect(evt.detail.source).to.equal('METHOD');
+        done();
+      });
+      fx.select(calif.children[1]);
+    });
+
+    it('only selects items at `selectableDepths`', function() {
+      fx.selectableDepths = [1];
+      fx.select([data[0], calif, calif.children[0]]);
+      expect(fx.selected).to.eql([calif]);
+    });
+
+    it('only selects leaves when `selectLeavesOnly` is true', function() {
+      fx.selectLeavesOnly = true;
+      fx.select([calif, calif.children[0]]);
+      expect(fx.selected).to.eql([calif.children[0]]);
+    });
+
+    it('only selects items in the subtree set with `selectWithin`', function() {
+      fx.selectWithin = ['united-states', 'calif'];
+      fx.select([data[0].children[1], calif, calif.children[2]]);
+      expect(fx.selected).to.eql([calif, calif.children[2]]);
+    });
+
+    it('does not limit the selection when `selectWithin` is an empty route', function() {
+      fx.selectWithin = [];
+      fx.select([data[0].children[1], calif]);
+      expect(fx.selected).to.eql([data[0].children[1], calif]);
+    });
+
+    it('calls `canSelect` with the item and its metadata', function() {
+      var guard = sandbox.spy(function(item, meta) {
+        return meta.depth !== 2;
+      });
+      fx.canSelect = guard;
+      fx.select([calif.children[0], data[0].children[1]]);
+      expect(fx.selected).to.eql([data[0].children[1]]);
+      expect(guard.firstCall.args[0]).to.equal(calif.children[0]);
+      expect(guard.firstCall.args[1].route).to.eql(['united-states', 'calif', 'sf']);
+    });
+
+    it('drops rejected items from `selectedRoute`', function() {
+      fx.maxSelected = 1;
+      fx.selectedRoute = [['united-states', 'calif'], ['united-states', 'ariz']];
+      expect(fx.selected).to.eql([calif]);
+      expect(fx.selectedRoute).to.eql([['united-states', 'calif']]);
+    });
+
+    it('puts back the `selectedRoute` when the item is rejected in single-select mode', function() {
+      fx.multiSelect = false;
+      fx.select(calif);
+      fx.selectLeavesOnly = true;
+      fx.selectedRoute = ['united-states'];
+      expect(fx.selected).to.equal(calif);
+      expect(fx.selectedRoute).to.eql(['united-states', 'calif']);
+    });
+
+    it('skips items that break the constraints when cascading', function() {
+      fx.cascadeSelection = true;
+      fx.selectLeavesOnly = true;
+      fx.select(calif.children[0]);
+      fx.select(calif.children[1]);
+      fx.select(calif.children[2]);
+      expect(fx.selected).to.eql([calif.children[0], calif.children[1], calif.children[2]]);
+    });
+  });
+
+  describe('before events', function() {
+    beforeEach(function() {
+      fx = fixture('AssetSelectableFixture');
+      fx.multiSelect = false;
+      fx.items = data;
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('fires a \'px-app-asset-before-select\' event with the previous value', function(done) {
+      this.timeout(200);
+      var item1 = data[0].children[0];
+      var item2 = data[0].children[1];
+      fx.select(item1);
+      fx.addEventListener('px-app-asset-before-select', function(evt) {
+        expect(evt.detail.item).to.equal(item2);
+        expect(evt.detail.source).to.equal('METHOD');
+        expect(evt.detail.route).to.eql(['united-states', 'ariz']);
+        expect(evt.detail.previous).to.equal(item1);
+        expect(fx.selected).to.equal(item1);
+        done();
+      });
+      fx.select(item2);
+    });
+
+    it('does not select the item if the \'px-app-asset-before-select\' event is canceled', function() {
+      var item1 = data[0].children[0];
+      fx.select(item1);
+      fx.addEventListener('px-app-asset-before-select', function(evt) {
+        evt.preventDefault();
+      });
+      fx.select(data[0].children[1]);
+      expect(fx.selected).to.equal(item1);
+      expect(fx.selectedRoute).to.eql(['united-states', 'calif']);
+    });
+
+    it('does not deselect the item if the \'px-app-asset-before-deselect\' event is canceled', function() {
+      var item = data[0].children[0];
+      fx.select(item);
+      fx.addEventListener('px-app-asset-before-deselect', function(evt) {
+        evt.preventDefault();
+      });
+      fx.deselect(item);
+      expect(fx.selected).to.equal(item);
+    });
+
+    it('puts back the `selectedRoute` if the change is canceled', function() {
+      fx.select(data[0].children[0]);
+      fx.addEventListener('px-app-asset-before-select', function(evt) {
+        evt.preventDefault();
+      });
+      fx.selectedRoute = ['united-states', 'ariz'];
+      expect(fx.selected).to.equal(data[0].children[0]);
+      expect(fx.selectedRoute).to.eql(['united-states', 'calif']);
+    });
+
+    it('makes a canceled change later when `detail.resume()` is called', function(done) {
+      this.timeout(200);
+      var item = data[0].children[1];
+      var listener = sandbox.spy(function(evt) {
+        evt.preventDefault();
+        setTimeout(evt.detail.resume, 10);
+      });
+      fx.addEventListener('px-app-asset-before-select', listener);
+      fx.addEventListener('px-app-asset-selected', function(evt) {
+        expect(evt.detail.item).to.equal(item);
+        expect(fx.selected).to.equal(item);
+        expect(listener.callCount).to.equal(1);
+        done();
+      });
+      fx.select(item);
+      expect(fx.selected).to.equal(null);
+    });
+  });
+
   describe('custom keys', function() {
     describe('[single select]', function() {
       beforeEach(function() {
@@ -516,4 +830,61 @@ describe('PxAppBehavior.AssetSelectable', function () {
       });
     });
   });
+
+  describe('async routes', function() {
+    var lazyData;
+
+    beforeEach(function() {
+      lazyData = [{ id: 'site-1', label: 'Site 1' }];
+      fx = fixture('AssetSelectableFixture');
+      fx.asyncRoutes = true;
+      fx.loadChildren = function(item) {
+        if (item.id === 'site-1') {
+          return Promise.resolve([{ id: 'unit-1', label: 'Unit 1' }]);
+        }
+        return Promise.resolve([]);
+      };
+      fx.items = lazyData;
+    });
+
+    it('loads missing children before selecting an item by route', function(done) {
+      this.timeout(200);
+      fx.addEventListener('px-app-asset-selected', function(evt) {
+        expect(evt.detail.item.id).to.equal('unit-1');
+        expect(fx.selected).to.equal(fx._assetGraph.getChildren(lazyData[0])[0]);
+        done();
+      });
+      fx.selectedRoute = ['site-1', 'unit-1'];
+    });
+
+    it('fires a \'px-app-asset-route-not-found\' event if the route does not exist', function(done) {
+      this.timeout(200);
+      fx.addEventListener('px-app-asset-route-not-found', function(evt) {
+        expect(evt.detail.route).to.eql(['site-1', 'unit-2']);
+        expect(evt.detail.missing).to.equal('unit-2');
+        expect(evt.detail.parent).to.equal(lazyData[0]);
+        done();
+      });
+      fx.selectedRoute = ['site-1', 'unit-2'];
+    });
+
+    it('selects the descendants of each item once the routes resolve with `cascadeSelection`', function(done) {
+      this.timeout(200);
+      var site2 = { id: 'site-2', label: 'Site 2', children: [
+        { id: 'unit-3', label: 'Unit 3' },
+        { id: 'unit-4', label: 'Unit 4' }
+      ] };
+      fx.multiSelect = true;
+      fx.cascadeSelection = true;
+      fx.items = [lazyData[0], site2];
+      fx.selectedRoute = [['site-1', 'unit-1'], ['site-2']];
+      setTimeout(function() {
+        var unit1 = fx._assetGraph.getChildren(lazyData[0])[0];
+        expect(fx.selected).to.include.members([unit1, site2, site2.children[0], site2.children[1]]);
+        var routes = fx.selectedRoute.map(function(route) { return route.join('/'); });
+        expect(routes).to.include.members(['site-2/unit-3', 'site-2/unit-4']);
+        done();
+      }, 20);
+    });
+  });
 });